@@ -1,11 +1,916 @@
-chrome.commands.onCommand.addListener(async (command) => {
-  if (command === "summarize-page") {
-    await chrome.storage.session.set({ autoSummarize: true });
+importScripts(
+  "providers/names.js",
+  "prompts.js",
+  "history-store.js",
+  "summary-cache.js",
+  "usage-tracker.js",
+  "token-counter.js",
+  "budgets.js",
+  "key-vault.js",
+  "providers/sse.js",
+  "providers/retry-after.js",
+  "providers/openai.js",
+  "providers/gemini.js",
+  "providers/claude.js",
+  "providers/custom.js",
+  "providers/local.js",
+  "provider-settings.js",
+  "summarizer.js",
+);
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: "summarize-selection",
+    title: "Summarize selection",
+    contexts: ["selection"],
+  });
+});
+
+// Whether the shortcut and context menu open the side panel instead of the popup.
+// Kept in memory because sidePanel.open() must run before the user gesture expires.
+let openInSidePanel = false;
+chrome.storage.local.get(["open_in_side_panel"]).then((stored) => {
+  openInSidePanel = stored.open_in_side_panel || false;
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.open_in_side_panel) {
+    openInSidePanel = changes.open_in_side_panel.newValue || false;
+  }
+});
+
+// Lock the key vault once its unlock timeout is up
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === KeyVault.alarmName) {
+    KeyVault.lock();
+  }
+});
+
+// ============================================================================
+// SUMMARY JOBS
+// ============================================================================
+
+/**
+ * Summaries run in the service worker so they outlive the popup. The popup, side panel,
+ * shortcut and context menu submit jobs, the UI follows them over a "jobs" port, and the
+ * toolbar badge shows each tab's latest job.
+ */
+
+const JOBS_STORAGE_KEY = "summary_jobs";
+const MAX_KEPT_JOBS = 20;
+
+// Streamed text is forwarded to the UI at most this often (in ms)
+const JOB_UPDATE_INTERVAL_MS = 150;
+
+// Extension API calls keep the service worker alive while a job waits on the provider
+const KEEP_ALIVE_INTERVAL_MS = 25000;
+
+// Tabs summarized at the same time by "Summarize All Tabs"
+const BATCH_CONCURRENCY = 3;
+
+const RESTRICTED_PREFIXES = ["chrome://", "chrome-extension://", "about:", "edge://", "file://"];
+
+const JOB_BADGES = {
+  queued: { text: "…", color: "#6c63ff" },
+  running: { text: "…", color: "#6c63ff" },
+  done: { text: "✓", color: "#16a34a" },
+  failed: { text: "!", color: "#dc2626" },
+};
+
+// Jobs by id, oldest first (sent to the UI and kept in session storage)
+const jobs = new Map();
+
+// Extracted page content by job id, kept for follow-up chat but never broadcast
+const jobContent = new Map();
+
+const jobQueue = [];
+let jobRunning = false;
+let keepAliveTimer = null;
+const jobPorts = new Set();
+const partialTimers = new Map();
+
+// Jobs survive service worker restarts in session storage; ones cut off mid-run are failed
+const jobsLoaded = chrome.storage.session.get([JOBS_STORAGE_KEY]).then((stored) => {
+  for (const job of stored[JOBS_STORAGE_KEY] || []) {
+    if (job.status === "queued" || job.status === "running") {
+      Object.assign(job, {
+        status: "failed",
+        error: { type: ERROR_TYPES.UNKNOWN, userMessage: "⚠️ The summary was interrupted. Please try again." },
+      });
+      updateJobBadge(job);
+    }
+    jobs.set(job.id, job);
+  }
+});
+
+function persistJobs() {
+  const stored = [...jobs.values()].map(({ partial, ...job }) => job);
+  chrome.storage.session.set({ [JOBS_STORAGE_KEY]: stored }).catch((err) => {
+    console.error("Failed to persist summary jobs:", err);
+  });
+}
+
+/**
+ * Show a job's state on the toolbar icon of its tab
+ * @param {Object} job - Summary job
+ */
+function updateJobBadge(job) {
+  const badge = job.acknowledged ? { text: "", color: "#6c63ff" } : JOB_BADGES[job.status];
+
+  // The tab may have been closed since the job started
+  chrome.action.setBadgeText({ tabId: job.tabId, text: badge.text }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId: job.tabId, color: badge.color }).catch(() => {});
+}
+
+function broadcastJob(job) {
+  for (const port of jobPorts) {
+    port.postMessage({ type: "job-update", job });
+  }
+}
+
+/**
+ * Apply changes to a job and publish them
+ * @param {Object} job - Summary job
+ * @param {Object} changes - Fields to update
+ * @param {boolean} [streaming] - Only streamed text changed; throttle and skip persisting
+ */
+function updateJob(job, changes, streaming = false) {
+  Object.assign(job, changes);
+
+  if (streaming) {
+    if (!partialTimers.has(job.id)) {
+      partialTimers.set(
+        job.id,
+        setTimeout(() => {
+          partialTimers.delete(job.id);
+          broadcastJob(job);
+        }, JOB_UPDATE_INTERVAL_MS),
+      );
+    }
+    return;
+  }
+
+  clearTimeout(partialTimers.get(job.id));
+  partialTimers.delete(job.id);
+  broadcastJob(job);
+  updateJobBadge(job);
+  persistJobs();
+}
+
+/**
+ * Default job options from the user's saved settings (used by the keyboard shortcut and context menu)
+ * @returns {Promise<Object>}
+ */
+async function loadJobDefaults() {
+  const stored = await chrome.storage.local.get([
+    "summary_type",
+    "output_language",
+    "exclude_code_blocks",
+    "chunk_long_pages",
+    "stream_summaries",
+  ]);
+
+  return {
+    source: "page",
+    bypassCache: false,
+    summaryType: stored.summary_type || "detailed",
+    outputLanguage: stored.output_language || "same",
+    excludeCodeBlocks: stored.exclude_code_blocks || false,
+    chunkLongPages: stored.chunk_long_pages !== false,
+    stream: stored.stream_summaries !== false,
+  };
+}
+
+/**
+ * Queue a summary job for a tab ("page" or "selection"), or for every tab in its window ("tabs")
+ * @param {Object} request - { tabId, source?, bypassCache?, summaryType?, outputLanguage?, excludeCodeBlocks?, chunkLongPages?, stream? }
+ * @returns {Promise<Object>} The queued job
+ */
+async function submitJob(request) {
+  await jobsLoaded;
+
+  const options = { ...(await loadJobDefaults()), ...request };
+  const tab = await chrome.tabs.get(options.tabId);
+  const job = {
+    id: crypto.randomUUID(),
+    tabId: tab.id,
+    windowId: tab.windowId,
+    title: tab.title,
+    url: tab.url,
+    source: options.source,
+    options,
+    status: "queued",
+    partial: "",
+    content: null,
+    limit: null,
+    trim: null,
+    progress: null,
+    images: null,
+    batch: null,
+    retry: null,
+    fallback: null,
+    costWarning: null,
+    result: null,
+    error: null,
+    acknowledged: false,
+    createdAt: Date.now(),
+  };
+
+  jobs.set(job.id, job);
+  for (const oldId of [...jobs.keys()].slice(0, Math.max(0, jobs.size - MAX_KEPT_JOBS))) {
+    jobs.delete(oldId);
+    jobContent.delete(oldId);
+  }
+
+  updateJob(job, {});
+  jobQueue.push(job);
+  runNextJob();
+  return job;
+}
+
+/**
+ * Run queued jobs one at a time
+ */
+async function runNextJob() {
+  if (jobRunning) return;
+
+  const job = jobQueue.shift();
+  if (!job) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+    return;
+  }
+
+  jobRunning = true;
+  keepAliveTimer ??= setInterval(() => chrome.runtime.getPlatformInfo(), KEEP_ALIVE_INTERVAL_MS);
+
+  try {
+    await runJob(job);
+  } catch (err) {
+    const errorInfo = err?.type && err?.userMessage ? err : classifyError(err, null);
+    console.error("[Generate Summary Error]", {
+      type: errorInfo.type,
+      debugInfo: errorInfo.debugInfo,
+      originalMessage: err?.message,
+    });
+    updateJob(job, {
+      status: "failed",
+      partial: "",
+      error: { type: errorInfo.type, userMessage: errorInfo.userMessage },
+    });
+  } finally {
+    jobRunning = false;
+    runNextJob();
+  }
+}
+
+/**
+ * Run a job: summarize its tab, or every tab of its window for a "tabs" job
+ * @param {Object} job - Summary job
+ * @throws {Object} Structured error ({ type, userMessage, debugInfo })
+ */
+async function runJob(job) {
+  updateJob(job, { status: "running" });
+
+  const providers = await loadProviderChain();
+  const [{ provider: primary, apiKey }] = providers;
+  const needsKey = await needsApiKey(primary, apiKey);
+  if (needsKey && (await KeyVault.isLocked())) {
+    throw {
+      type: ERROR_TYPES.VAULT_LOCKED,
+      userMessage: "🔒 Your API keys are locked. Open DashSummarize and unlock them with your passphrase.",
+      debugInfo: `Key vault is locked (${primary})`,
+    };
+  }
+  if (needsKey) {
+    throw {
+      type: ERROR_TYPES.UNAUTHORIZED,
+      userMessage: "🔑 Please save your API key first.",
+      debugInfo: `No API key saved for ${primary}`,
+    };
+  }
+
+  if (job.source === "tabs") {
+    await runBatchJob(job, providers);
+    return;
+  }
+
+  const result = await summarizeTab(job, job.source, job.options, providers, (changes, streaming) =>
+    updateJob(job, changes, streaming),
+  );
+
+  jobContent.set(job.id, result.pageContent);
+  updateJob(job, {
+    status: "done",
+    partial: "",
+    result: {
+      summary: result.summary,
+      historyId: result.historyId,
+      cachedAt: result.cachedAt,
+      conversation: result.conversation,
+      type: result.type,
+      provider: result.provider,
+      model: result.model,
+      failedProviders: result.failedProviders,
+      usage: result.usage,
+      language: result.language,
+    },
+  });
+}
+
+/**
+ * Whether a tab's URL can be summarized: content scripts can't run on internal/restricted pages,
+ * but PDFs (including local file:// ones) are read directly instead
+ * @param {string} [url] - Tab URL
+ * @returns {boolean}
+ */
+function isSummarizableUrl(url) {
+  return Boolean(url) && (!RESTRICTED_PREFIXES.some((prefix) => url.startsWith(prefix)) || isPdfUrl(url));
+}
+
+/**
+ * Extract a tab's content and summarize it, serving unchanged pages from the cache
+ * Providers are tried in order, moving on after errors in FALLBACK_ERROR_TYPES.
+ * @param {{id?: number, tabId?: number, title: string, url: string}} tab - Tab to summarize
+ * @param {string} source - "page" or "selection"
+ * @param {Object} options - Job options
+ * @param {Array<{provider: string, apiKey: string}>} providers - Provider chain from loadProviderChain()
+ * @param {function(Object, boolean): void} [report] - Receives progress fields for the job (and streamed text)
+ * @returns {Promise<Object>} { summary, historyId, cachedAt, conversation, type, language, pageContent, provider,
+ *   model, failedProviders, usage }
+ * @throws {Object} Structured error ({ type, userMessage, debugInfo })
+ */
+async function summarizeTab(tab, source, options, providers, report = () => {}) {
+  const tabId = tab.tabId ?? tab.id;
+
+  if (!isSummarizableUrl(tab.url)) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: "🚫 Cannot summarize this page. Please open a website (e.g. a blog or docs page) and try again.",
+      debugInfo: `Restricted page: ${tab.url}`,
+    };
+  }
+
+  // Chunked mode can handle pages beyond the model's safe limit, so extract more
+  const limits = getTokenLimits(await ProviderSettings.get(providers[0].provider));
+  const maxLength = options.chunkLongPages
+    ? MAX_CHUNKED_CONTENT_LENGTH
+    : Math.min(MAX_CONTENT_LENGTH, limits.safeLimit * ROUGH_CHARS_PER_TOKEN);
+
+  let extracted = null;
+  let isPdf = isPdfUrl(tab.url);
+  if (!isPdf) {
     try {
-      await chrome.action.openPopup();
-    } catch (error) {
-      await chrome.storage.session.remove("autoSummarize");
-      console.error("Failed to open extension popup for summarize-page command", error);
+      [{ result: extracted }] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: extractPageContent,
+        args: [maxLength, options.excludeCodeBlocks, source === "selection"],
+      });
+      isPdf = extracted.contentType === "application/pdf";
+    } catch (extractErr) {
+      // PDFs served without a .pdf extension may not accept scripts at all
+      isPdf = await isPdfResource(tab.url);
+      if (!isPdf) {
+        console.error("[Content Extraction Error]", extractErr);
+        throw {
+          type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+          userMessage: USER_MESSAGES.content_extraction_failed,
+          debugInfo: `Content extraction failed: ${extractErr?.message || "Unknown error"}`,
+        };
+      }
     }
   }
+
+  // The viewer has no selection to read, so a PDF is always summarized as a whole
+  let pdf = null;
+  if (isPdf) {
+    pdf = await extractPdfContent(tab.url, maxLength);
+    extracted = { text: pdf.text, images: [], language: pdf.language, extraction: null };
+  }
+
+  const pageContent = extracted.text;
+  const images = extracted.images || [];
+  const pageLanguage = extracted.language || "";
+  const extraction = extracted.extraction || null;
+  console.info("[Content Extraction]", pdf ? { pdfPages: pdf.pages, extractedPages: pdf.extractedPages } : extraction);
+
+  if (source === "selection" && !pdf && !pageContent) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: USER_MESSAGES.selection_empty,
+      debugInfo: "Nothing is selected on the page",
+    };
+  }
+
+  // Validate extracted content
+  if (!pageContent || pageContent.length < 100) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: USER_MESSAGES.content_extraction_failed,
+      debugInfo: `Extracted content too short: ${pageContent?.length || 0} characters (minimum 100 required)`,
+    };
+  }
+
+  const summaryTypes = await PromptTemplates.loadTypes();
+  const outputLanguage = resolveOutputLanguage(options.outputLanguage, pageLanguage);
+  const page = {
+    title: source === "selection" && !pdf ? `${tab.title} (selected excerpt)` : tab.title,
+    url: tab.url,
+    language: outputLanguage.name,
+    note: pdf ? PDF_PROMPT_NOTE : "",
+  };
+  const failedProviders = [];
+  const costWarningThreshold = await Budgets.getWarningThreshold();
+
+  for (const [index, { provider, apiKey }] of providers.entries()) {
+    const aiProvider = AI_PROVIDERS[provider];
+    const settings = await ProviderSettings.get(provider);
+    await TokenCounter.prepare(provider, settings.model);
+    const { content, chunks, limit, trim, tokens, estimatedCost } = fitContentToProvider(
+      pageContent,
+      provider,
+      settings,
+      options.chunkLongPages,
+    );
+
+    report({
+      content: { wordCount: countWords(content), tokens, extraction, pdfPages: pdf?.pages ?? null },
+      limit,
+      trim,
+      images: { count: images.length, included: Boolean(aiProvider?.supportsMultimodal) },
+    });
+
+    const result = {
+      type: options.summaryType,
+      language: outputLanguage.code || null,
+      pageContent: content,
+      provider,
+      model: settings.model,
+      failedProviders,
+    };
+
+    // Serve an unchanged page from the cache instead of paying for the same summary again
+    const cacheKey = await SummaryCache.buildKey({
+      url: tab.url,
+      content,
+      type: options.summaryType,
+      template: findSummaryType(summaryTypes, options.summaryType).template,
+      provider,
+      model: settings.model,
+      language: outputLanguage.code,
+      source: pdf ? "pdf" : source,
+    });
+    const cached = options.bypassCache ? null : await getCachedSummary(cacheKey);
+    if (cached) {
+      return {
+        ...result,
+        summary: cached.summary,
+        historyId: cached.historyItem.id,
+        cachedAt: cached.cachedAt,
+        conversation: cached.historyItem.conversation || [],
+        model: cached.historyItem.model || settings.model,
+        usage: null,
+      };
+    }
+
+    // Flag a request that looks expensive; it still runs, budgets are enforced per provider call
+    report({
+      costWarning:
+        costWarningThreshold > 0 && estimatedCost > costWarningThreshold
+          ? { estimatedCost, threshold: costWarningThreshold }
+          : null,
+    });
+
+    const onChunk = options.stream ? (text) => report({ partial: text }, true) : null;
+    const onRetry = (retry) => report({ retry });
+    let generated;
+    try {
+      generated = chunks
+        ? await summarizeInChunks(
+          provider,
+          apiKey,
+          chunks,
+          summaryTypes,
+          options.summaryType,
+          page,
+          images,
+          onChunk,
+          (current, total, stage) => report({ progress: { current, total, stage } }),
+          onRetry,
+        )
+        : await generateSummary(
+          provider,
+          apiKey,
+          buildSummaryPrompt(summaryTypes, options.summaryType, { ...page, content }),
+          images,
+          onChunk,
+          onRetry,
+          { content, type: options.summaryType, title: page.title },
+        );
+    } catch (err) {
+      const next = providers[index + 1];
+      if (!next || !FALLBACK_ERROR_TYPES.has(err?.type)) {
+        if (failedProviders.length > 0 && err?.userMessage) {
+          err.userMessage += ` (Also tried: ${describeFailedProviders(failedProviders)}.)`;
+        }
+        throw err;
+      }
+
+      console.warn(`[Provider Fallback] ${provider} failed (${err.type}), trying ${next.provider}`);
+      failedProviders.push({ provider, type: err.type });
+      report({ partial: "", progress: null, retry: null, fallback: { failedProviders: [...failedProviders], next: next.provider } });
+      continue;
+    }
+
+    // Save to history, with the tokens this summary cost
+    const { text: summary, usage } = generated;
+    const historyId = await saveSummary(summary, tab.title, tab.url, options.summaryType, {
+      provider,
+      model: settings.model,
+      failedProviders: failedProviders.length > 0 ? failedProviders : undefined,
+      language: outputLanguage.code || null,
+      pageLanguage: pageLanguage || null,
+      source: pdf ? "pdf" : source,
+      usage: usage ? [{ kind: "summary", ...usage }] : [],
+    });
+    await cacheSummary(cacheKey, summary, historyId);
+
+    return { ...result, summary, historyId, cachedAt: null, conversation: [], usage };
+  }
+}
+
+/**
+ * Fit extracted content to a provider's limits: split long pages into chunks for map-reduce,
+ * or trim them when chunking is off
+ * @param {string} pageContent - Extracted content
+ * @param {string} provider - Provider id
+ * @param {{model: string, maxTokens: number}} settings - Provider settings (see ProviderSettings.get())
+ * @param {boolean} chunkLongPages - Whether map-reduce is enabled
+ * @returns {{content: string, chunks: string[]|null, limit: Object|null, trim: Object|null,
+ *   tokens: {count: number, source: string}, estimatedCost: number|null}} tokens and estimatedCost are of content
+ */
+function fitContentToProvider(pageContent, provider, settings, chunkLongPages) {
+  const limitCheck = checkContentLimit(pageContent, provider, settings);
+  const { estimatedCost } = limitCheck;
+  const tokens = { count: limitCheck.estimatedTokens, source: limitCheck.tokenSource };
+  if (!limitCheck.isOverLimit) {
+    return { content: pageContent, chunks: null, limit: null, trim: null, tokens, estimatedCost };
+  }
+
+  if (chunkLongPages) {
+    const chunkChars = Math.min(limitCheck.safeLimit, CHUNK_TOKEN_TARGET) * limitCheck.charsPerToken;
+    return {
+      content: pageContent,
+      chunks: splitIntoChunks(pageContent, chunkChars),
+      limit: null,
+      trim: null,
+      tokens,
+      estimatedCost,
+    };
+  }
+
+  // A trimmed page costs what is left of it
+  const content = trimContent(pageContent, limitCheck.safeLimit, provider);
+  const trimmedCheck = checkContentLimit(content, provider, settings);
+  return {
+    content,
+    chunks: null,
+    limit: { estimatedTokens: limitCheck.estimatedTokens, safeLimit: limitCheck.safeLimit, tokenSource: limitCheck.tokenSource },
+    trim: {
+      originalLength: pageContent.length,
+      trimmedLength: content.length,
+      tokensSaved: limitCheck.estimatedTokens - trimmedCheck.estimatedTokens,
+    },
+    tokens: { count: trimmedCheck.estimatedTokens, source: trimmedCheck.tokenSource },
+    estimatedCost: trimmedCheck.estimatedCost,
+  };
+}
+
+/**
+ * Summarize every eligible tab in the job's window, a few at a time, and combine them into a digest
+ * Each tab's summary is saved to history (and the cache) like a single-page summary.
+ * @param {Object} job - Job with source "tabs"
+ * @param {Array<{provider: string, apiKey: string}>} providers - Provider chain from loadProviderChain()
+ * @throws {Object} Structured error ({ type, userMessage, debugInfo })
+ */
+async function runBatchJob(job, providers) {
+  // Discarded tabs have no page loaded to extract from
+  const tabs = (await chrome.tabs.query({ windowId: job.windowId })).filter(
+    (tab) => isSummarizableUrl(tab.url) && !tab.discarded,
+  );
+
+  if (tabs.length === 0) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: USER_MESSAGES.no_eligible_tabs,
+      debugInfo: `No summarizable tabs in window ${job.windowId}`,
+    };
+  }
+
+  // Per-tab summaries don't stream; the digest is shown once every tab has settled
+  const options = { ...job.options, stream: false };
+  const entries = tabs.map((tab) => ({ tabId: tab.id, title: tab.title, url: tab.url, status: "queued", error: null }));
+  const results = [];
+  let nextIndex = 0;
+
+  const reportBatch = () =>
+    updateJob(job, {
+      batch: {
+        total: entries.length,
+        done: entries.filter((e) => e.status === "done").length,
+        failed: entries.filter((e) => e.status === "failed").length,
+      },
+    });
+  reportBatch();
+
+  const worker = async () => {
+    while (nextIndex < tabs.length) {
+      const index = nextIndex++;
+      try {
+        // Only a pending retry is worth showing while several tabs run at once
+        results[index] = await summarizeTab(tabs[index], "page", options, providers, ({ retry }) => {
+          if (retry !== undefined) updateJob(job, { retry });
+        });
+        entries[index].status = "done";
+      } catch (err) {
+        const errorInfo = err?.type && err?.userMessage ? err : classifyError(err, null);
+        console.error("[Batch Summary Error]", { url: tabs[index].url, debugInfo: errorInfo.debugInfo });
+        Object.assign(entries[index], { status: "failed", error: errorInfo.userMessage });
+      }
+      reportBatch();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, tabs.length) }, worker));
+
+  if (!entries.some((e) => e.status === "done")) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: entries[0].error || USER_MESSAGES.content_extraction_failed,
+      debugInfo: `All ${entries.length} tabs failed to summarize`,
+    };
+  }
+
+  const title = `Digest of ${entries.length} tab${entries.length === 1 ? "" : "s"}`;
+  const digest = buildDigest(title, entries, results);
+  const provider = results.find(Boolean)?.provider || providers[0].provider;
+  // Tabs can fall back to different providers, so a model is only named when they all agree
+  const models = new Set(results.filter(Boolean).map((result) => result.model));
+  const model = models.size === 1 ? [...models][0] : null;
+  // Each tab's usage is already recorded on its own entry, so the digest's total is shown but not stored
+  const historyId = await saveSummary(digest, title, "", options.summaryType, {
+    provider,
+    model,
+    language: results.find(Boolean)?.language || null,
+    source: "tabs",
+  });
+
+  // Follow-up questions are answered from the summaries rather than the full pages
+  jobContent.set(
+    job.id,
+    entries
+      .map((entry, index) => results[index] && `# ${entry.title}\n${entry.url}\n\n${results[index].summary}`)
+      .filter(Boolean)
+      .join("\n\n"),
+  );
+  updateJob(job, {
+    title,
+    url: "",
+    status: "done",
+    result: {
+      summary: digest,
+      historyId,
+      cachedAt: null,
+      conversation: [],
+      type: options.summaryType,
+      provider,
+      model,
+      usage: UsageTracker.combine(results.map((result) => result?.usage)),
+      language: results.find(Boolean)?.language || null,
+    },
+  });
+}
+
+/**
+ * Combine per-tab summaries into one Markdown digest with a linked section per tab
+ * @param {string} title - Digest heading
+ * @param {Array<Object>} entries - Batch entries ({ title, url, status, error })
+ * @param {Array<Object>} results - summarizeTab() results, by entry index
+ * @returns {string} Markdown digest
+ */
+function buildDigest(title, entries, results) {
+  const link = (entry) => `[${(entry.title || entry.url).replace(/[[\]]/g, "")}](<${entry.url}>)`;
+  const sections = entries
+    .map((entry, index) => results[index] && `## ${index + 1}. ${link(entry)}\n\n${results[index].summary.trim()}`)
+    .filter(Boolean);
+
+  const failed = entries.filter((entry) => entry.status === "failed");
+  if (failed.length > 0) {
+    sections.push(
+      `## Not summarized\n\n${failed.map((entry) => `- ${link(entry)} — ${entry.error}`).join("\n")}`,
+    );
+  }
+
+  return `# ${title}\n\n${sections.join("\n\n---\n\n")}`;
+}
+
+/**
+ * Look up a cached summary together with the history entry it was saved as
+ * @param {string} cacheKey - Key from SummaryCache.buildKey()
+ * @returns {Promise<Object|null>} Cache entry with its historyItem, or null on a miss
+ */
+async function getCachedSummary(cacheKey) {
+  try {
+    const cached = await SummaryCache.get(cacheKey);
+    if (!cached) return null;
+
+    // Chat and translation build on the history entry, so a deleted entry counts as a miss
+    const historyItem = cached.historyId ? await HistoryStore.get(cached.historyId) : null;
+    return historyItem ? { ...cached, historyItem } : null;
+  } catch (err) {
+    console.error("Failed to read summary cache:", err);
+    return null;
+  }
+}
+
+/**
+ * Cache a freshly generated summary
+ * @param {string} cacheKey - Key from SummaryCache.buildKey()
+ * @param {string} text - Summary text
+ * @param {string|null} historyId - History entry the summary was saved as
+ */
+async function cacheSummary(cacheKey, text, historyId) {
+  if (!historyId) return;
+
+  try {
+    await SummaryCache.set(cacheKey, { summary: text, historyId });
+  } catch (err) {
+    console.error("Failed to cache summary:", err);
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "jobs") return;
+
+  jobPorts.add(port);
+  port.onDisconnect.addListener(() => jobPorts.delete(port));
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handlers = {
+    "submit-job": async () => ({ job: await submitJob(message.request) }),
+    "get-jobs": async () => {
+      await jobsLoaded;
+      return { jobs: [...jobs.values()] };
+    },
+    "get-job-content": async () => ({ content: jobContent.get(message.jobId) || "" }),
+    "ack-job": async () => {
+      await jobsLoaded;
+      const job = jobs.get(message.jobId);
+      if (job && !job.acknowledged) updateJob(job, { acknowledged: true });
+      return {};
+    },
+  };
+
+  const handler = handlers[message?.type];
+  if (!handler) return false;
+
+  handler()
+    .then(sendResponse)
+    .catch((err) => {
+      console.error(`[Job Message Error] ${message.type}`, err);
+      sendResponse({ error: err?.userMessage || err?.message || "Unknown error" });
+    });
+  return true;
+});
+
+// ============================================================================
+// PDF EXTRACTION
+// ============================================================================
+
+// Tells the model how to read the "[Page N]" markers offscreen.js puts in PDF text
+const PDF_PROMPT_NOTE =
+  "The content below is a PDF document. Each page starts with a [Page N] marker. " +
+  "Cite the page numbers of key points and figures, e.g. (p. 4), and don't mention the markers otherwise.";
+
+let offscreenReady = null;
+
+/**
+ * Ask the server whether a URL serves a PDF (for PDFs whose URL has no .pdf extension)
+ * @param {string} url - Tab URL
+ * @returns {Promise<boolean>}
+ */
+async function isPdfResource(url) {
+  if (!/^https?:/.test(url || "")) return false;
+
+  try {
+    const response = await fetch(url, { method: "HEAD", credentials: "include" });
+    return (response.headers.get("content-type") || "").includes("application/pdf");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create the offscreen document that runs pdf.js, unless it already exists
+ */
+function ensureOffscreenDocument() {
+  offscreenReady ??= chrome.runtime
+    .getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] })
+    .then((contexts) =>
+      contexts.length > 0
+        ? undefined
+        : chrome.offscreen.createDocument({
+          url: "offscreen.html",
+          reasons: ["WORKERS"],
+          justification: "Extract text from PDF documents with pdf.js",
+        }),
+    )
+    .catch((err) => {
+      offscreenReady = null;
+      throw err;
+    });
+  return offscreenReady;
+}
+
+/**
+ * Download a PDF and extract its text page by page (in the offscreen document)
+ * @param {string} url - Document URL (http(s) or file)
+ * @param {number} maxLength - Maximum number of characters to return
+ * @returns {Promise<{text: string, pages: number, extractedPages: number, language: string, title: string}>}
+ * @throws {Object} Structured error ({ type, userMessage, debugInfo })
+ */
+async function extractPdfContent(url, maxLength) {
+  if (url.startsWith("file://") && !(await chrome.extension.isAllowedFileSchemeAccess())) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: USER_MESSAGES.pdf_file_access,
+      debugInfo: `File access is off for the extension: ${url}`,
+    };
+  }
+
+  let response;
+  try {
+    await ensureOffscreenDocument();
+    response = await chrome.runtime.sendMessage({ type: "extract-pdf", url, maxLength });
+  } catch (err) {
+    response = { error: err?.message };
+  }
+
+  if (!response?.result) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: USER_MESSAGES.pdf_extraction_failed,
+      debugInfo: `PDF extraction failed: ${response?.error || "Unknown error"}`,
+    };
+  }
+
+  // Scanned PDFs have no text layer
+  if (!response.result.text) {
+    throw {
+      type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
+      userMessage: USER_MESSAGES.pdf_no_text,
+      debugInfo: `No text layer in ${response.result.pages} PDF pages`,
+    };
+  }
+  return response.result;
+}
+
+// ============================================================================
+// KEYBOARD SHORTCUT & CONTEXT MENU
+// ============================================================================
+
+/**
+ * Open the side panel or popup and start a summary job for the tab
+ * @param {string} source - "page" for the whole page, "selection" for the selected text
+ * @param {chrome.tabs.Tab} [tab] - Tab the request came from
+ */
+async function openAndSummarize(source, tab) {
+  if (!tab?.id) return;
+
+  // Open first, while the user gesture is still valid; the UI picks up the tab's running job
+  const opening =
+    openInSidePanel
+      ? chrome.sidePanel.open({ windowId: tab.windowId }).catch((error) => {
+        console.error("Failed to open side panel, falling back to the popup", error);
+        return chrome.action.openPopup();
+      })
+      : chrome.action.openPopup();
+
+  try {
+    await submitJob({ tabId: tab.id, source });
+    await opening;
+  } catch (error) {
+    console.error("Failed to start summary from shortcut", error);
+  }
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === "summarize-page") {
+    await openAndSummarize("page", tab);
+  }
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === "summarize-selection") {
+    await openAndSummarize("selection", tab);
+  }
 });
@@ -0,0 +1,484 @@
+/**
+ * Backup - Export and import of settings and summary history as a versioned JSON file
+ * Moves a setup to another machine or browser profile. API keys, and the custom endpoint's extra
+ * headers (which often carry credentials), are only written when asked for, in plaintext. Importing
+ * replaces the settings and merges history by entry id: new entries are added, and entries that
+ * differ from the local copy are reported as conflicts.
+ */
+
+const Backup = {
+  format: "dashsummarize-backup",
+  // Raise when the file layout changes; files from a newer version are refused
+  version: 1,
+
+  /**
+   * Settings carried over, by chrome.storage.local key, with the type each value must have
+   * Per-machine state (spend, key checks, fetched model lists, token calibration, the summary
+   * cache and the encrypted key vault) stays behind.
+   * @returns {Object<string, string>} "string", "number", "boolean", "array" or "object" by key
+   */
+  settingTypes() {
+    return {
+      ai_provider: "string",
+      theme: "string",
+      summary_type: "string",
+      output_language: "string",
+      exclude_code_blocks: "boolean",
+      stream_summaries: "boolean",
+      chunk_long_pages: "boolean",
+      open_in_side_panel: "boolean",
+      fallback_providers: "array",
+      cache_ttl_hours: "number",
+      cache_max_entries: "number",
+      [PromptTemplates.storageKey]: "array",
+      [ProviderSettings.storageKey]: "object",
+      [Budgets.settingsKey]: "object",
+      [Budgets.warningKey]: "number",
+      [KeyVault.lockMinutesKey]: "number",
+    };
+  },
+
+  /**
+   * Collect the settings and the whole history
+   * @param {Object} [options]
+   * @param {boolean} [options.includeApiKeys] - Also write the saved API keys and the custom endpoint's
+   *   extra headers (unencrypted)
+   * @returns {Promise<Object>} Backup, ready for JSON.stringify()
+   * @throws {Object} Structured error ({ type: "vault_locked", userMessage, debugInfo }) when keys
+   *   are asked for while the key vault is locked
+   */
+  async export({ includeApiKeys = false } = {}) {
+    if (includeApiKeys && (await KeyVault.isLocked())) {
+      throw {
+        type: "vault_locked",
+        userMessage: "🔒 Your API keys are locked. Unlock them in the extension popup, or export without them.",
+        debugInfo: "Key vault is locked",
+      };
+    }
+
+    const stored = await chrome.storage.local.get(Object.keys(this.settingTypes()));
+    // Extra headers are a common place for credentials (an Azure api-key, a proxy's X-API-Key)
+    const custom = stored[ProviderSettings.storageKey]?.custom;
+    if (!includeApiKeys && custom?.headers) {
+      const { headers, ...rest } = custom;
+      stored[ProviderSettings.storageKey] = { ...stored[ProviderSettings.storageKey], custom: rest };
+    }
+
+    return {
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      settings: stored,
+      ...(includeApiKeys && { apiKeys: await KeyVault.getKeys() }),
+      history: await HistoryStore.getAll(),
+    };
+  },
+
+  /**
+   * Check that parsed JSON is a backup this version can import, down to the shape of each setting and entry
+   * @param {*} data - Parsed file contents
+   * @throws {Object} Structured error ({ type: "invalid_backup", userMessage, debugInfo }) naming
+   *   what is wrong
+   */
+  validate(data) {
+    const problems = [];
+
+    if (this._typeOf(data) !== "object" || data.format !== this.format) {
+      throw {
+        type: "invalid_backup",
+        userMessage: "✗ This file isn't a DashSummarize backup.",
+        debugInfo: `Expected format "${this.format}", got ${this._typeOf(data) === "object" ? JSON.stringify(data.format) : this._typeOf(data)}`,
+      };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      problems.push(`version must be a positive integer, got ${JSON.stringify(data.version)}`);
+    } else if (data.version > this.version) {
+      throw {
+        type: "invalid_backup",
+        userMessage: "✗ This backup was made by a newer version of DashSummarize. Update the extension to import it.",
+        debugInfo: `Backup version ${data.version}, supported up to ${this.version}`,
+      };
+    }
+
+    if (this._typeOf(data.settings) !== "object") {
+      problems.push("settings must be an object");
+    } else {
+      const types = this.settingTypes();
+      for (const [key, value] of Object.entries(data.settings)) {
+        if (!types[key]) continue;
+        if (this._typeOf(value) !== types[key]) {
+          problems.push(`settings.${key} must be ${types[key] === "array" ? "an array" : `a ${types[key]}`}`);
+        } else {
+          problems.push(...this._settingProblems(key, value).map((problem) => `settings.${key}${problem}`));
+        }
+      }
+    }
+
+    if (data.apiKeys !== undefined) {
+      if (this._typeOf(data.apiKeys) !== "object") {
+        problems.push("apiKeys must be an object");
+      } else {
+        for (const [provider, apiKey] of Object.entries(data.apiKeys)) {
+          if (!KeyVault.providers.includes(provider)) problems.push(`apiKeys.${provider} is not a provider with keys`);
+          else if (typeof apiKey !== "string") problems.push(`apiKeys.${provider} must be a string`);
+        }
+      }
+    }
+
+    if (!Array.isArray(data.history)) {
+      problems.push("history must be an array");
+    } else {
+      const ids = new Set();
+      data.history.forEach((entry, index) => {
+        problems.push(...this._entryProblems(entry).map((problem) => `history[${index}]${problem}`));
+        if (typeof entry?.id !== "string") return;
+        if (ids.has(entry.id)) problems.push(`history[${index}].id "${entry.id}" appears more than once`);
+        ids.add(entry.id);
+      });
+    }
+
+    if (problems.length > 0) {
+      throw {
+        type: "invalid_backup",
+        userMessage: `✗ This backup is damaged: ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more problems)` : ""}.`,
+        debugInfo: problems.join("; "),
+      };
+    }
+  },
+
+  /**
+   * @param {*} value - Any JSON value
+   * @returns {string} "array", "null", or its typeof
+   */
+  _typeOf(value) {
+    return Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+  },
+
+  /**
+   * What is wrong inside a setting whose top-level type is right
+   * @param {string} key - Storage key
+   * @param {*} value - Setting value
+   * @returns {string[]} Problems, each a path suffix and message (e.g. ".openai.temperature must be ...")
+   */
+  _settingProblems(key, value) {
+    const problems = [];
+    const providers = Object.keys(PROVIDER_NAMES);
+    const isAmount = (n) => typeof n === "number" && Number.isFinite(n) && n >= 0;
+
+    switch (key) {
+      case "ai_provider":
+        if (!providers.includes(value)) problems.push(` "${value}" is not a provider`);
+        break;
+      case "theme":
+        if (!["dark", "light"].includes(value)) problems.push(` must be "dark" or "light"`);
+        break;
+      case "cache_ttl_hours":
+      case "cache_max_entries":
+      case Budgets.warningKey:
+      case KeyVault.lockMinutesKey:
+        if (!isAmount(value)) problems.push(" must be a number of at least 0");
+        break;
+      case "fallback_providers":
+        value.forEach((entry, i) => {
+          if (!providers.includes(entry?.id)) problems.push(`[${i}].id must be a provider`);
+          if (typeof entry?.enabled !== "boolean") problems.push(`[${i}].enabled must be a boolean`);
+        });
+        break;
+      case PromptTemplates.storageKey: {
+        if (value.length === 0) problems.push(" must list at least one summary type");
+        const ids = new Set();
+        value.forEach((type, i) => {
+          if (this._typeOf(type) !== "object") {
+            problems.push(`[${i}] must be an object`);
+            return;
+          }
+          if (typeof type.id !== "string" || !type.id) problems.push(`[${i}].id must be a non-empty string`);
+          else if (ids.has(type.id)) problems.push(`[${i}].id "${type.id}" appears more than once`);
+          if (typeof type.name !== "string") problems.push(`[${i}].name must be a string`);
+          if (typeof type.template !== "string") problems.push(`[${i}].template must be a string`);
+          if (type.builtIn !== undefined && typeof type.builtIn !== "boolean") problems.push(`[${i}].builtIn must be a boolean`);
+          ids.add(type.id);
+        });
+        break;
+      }
+      case ProviderSettings.storageKey:
+        for (const [provider, settings] of Object.entries(value)) {
+          if (!providers.includes(provider)) {
+            problems.push(`.${provider} is not a provider`);
+          } else if (this._typeOf(settings) !== "object") {
+            problems.push(`.${provider} must be an object`);
+          } else {
+            problems.push(...this._providerSettingProblems(provider, settings).map((problem) => `.${provider}${problem}`));
+          }
+        }
+        break;
+      case Budgets.settingsKey:
+        for (const [provider, budget] of Object.entries(value)) {
+          if (!providers.includes(provider)) problems.push(`.${provider} is not a provider`);
+          else if (this._typeOf(budget) !== "object") problems.push(`.${provider} must be an object`);
+          else {
+            if (!isAmount(budget.limit)) problems.push(`.${provider}.limit must be a number of at least 0`);
+            if (!Budgets.periods.includes(budget.period)) problems.push(`.${provider}.period must be one of ${Budgets.periods.join(", ")}`);
+          }
+        }
+        break;
+    }
+    return problems;
+  },
+
+  /**
+   * What is wrong with one provider's settings (see ProviderSettings)
+   * @param {string} provider - Provider id
+   * @param {Object} settings - { model, temperature, maxTokens } and, for the custom provider, { baseUrl, headers, contextWindow }
+   * @returns {string[]} Problems, each a path suffix and message
+   */
+  _providerSettingProblems(provider, settings) {
+    const problems = [];
+    const isNumber = (n) => typeof n === "number" && Number.isFinite(n);
+    const fields = ["model", "temperature", "maxTokens"];
+    if (provider === "custom") fields.push(...Object.keys(CustomProvider.defaultSettings));
+
+    for (const [field, value] of Object.entries(settings)) {
+      if (!fields.includes(field)) {
+        problems.push(`.${field} is not a ${PROVIDER_NAMES[provider]} setting`);
+        continue;
+      }
+      switch (field) {
+        case "model":
+          if (typeof value !== "string") problems.push(".model must be a string");
+          break;
+        case "temperature":
+          if (!isNumber(value) || value < 0) problems.push(".temperature must be a number of at least 0");
+          break;
+        case "maxTokens":
+          if (!isNumber(value) || value <= 0) problems.push(".maxTokens must be a number above 0");
+          break;
+        case "contextWindow":
+          if (!Number.isInteger(value) || value <= 0) problems.push(`.${field} must be a positive integer`);
+          break;
+        case "baseUrl":
+          if (typeof value !== "string" || !CustomProvider.originPattern(value)) problems.push(".baseUrl must be an http:// or https:// URL");
+          break;
+        case "headers":
+          if (this._typeOf(value) !== "object" || Object.values(value).some((header) => typeof header !== "string" || /[\r\n]/.test(header))) {
+            problems.push(".headers must map header names to single-line strings");
+            break;
+          }
+          try {
+            CustomProvider.parseHeaders(CustomProvider.formatHeaders(value));
+          } catch (err) {
+            problems.push(`.headers: ${err.message}`);
+          }
+          break;
+      }
+    }
+
+    // A window that can't hold the reply and some page makes every summary fail
+    const contextWindow = settings.contextWindow ?? CustomProvider.defaultSettings.contextWindow;
+    const maxTokens = settings.maxTokens ?? ProviderSettings.defaultMaxTokens;
+    if (provider === "custom" && Number.isInteger(contextWindow) && isNumber(maxTokens)) {
+      const minContextWindow = CustomProvider.minContextWindow(maxTokens);
+      if (contextWindow < minContextWindow) {
+        problems.push(`.contextWindow must be at least ${minContextWindow} tokens for a ${maxTokens}-token reply`);
+      }
+    }
+    return problems;
+  },
+
+  /**
+   * What is wrong with a history entry
+   * @param {*} entry - Entry from the backup
+   * @returns {string[]} Problems, each a path suffix and message
+   */
+  _entryProblems(entry) {
+    if (this._typeOf(entry) !== "object") return [" must be an object"];
+
+    const problems = [];
+    if (typeof entry.id !== "string" || !entry.id) problems.push(".id must be a non-empty string");
+    if (typeof entry.text !== "string") problems.push(".text must be a string");
+    if (typeof entry.date !== "string" || Number.isNaN(new Date(entry.date).getTime())) {
+      problems.push(".date must be a date string");
+    }
+
+    const optionalStrings = ["title", "url", "type", "provider", "model", "language", "pageLanguage", "source", "pageContent", "translatedFrom"];
+    for (const field of optionalStrings) {
+      if (entry[field] != null && typeof entry[field] !== "string") problems.push(`.${field} must be a string`);
+    }
+    if (entry.pinned !== undefined && typeof entry.pinned !== "boolean") problems.push(".pinned must be a boolean");
+    for (const field of ["usage", "failedProviders"]) {
+      if (entry[field] != null && !(Array.isArray(entry[field]) && entry[field].every((item) => this._typeOf(item) === "object"))) {
+        problems.push(`.${field} must be an array of objects`);
+      }
+    }
+    if (entry.conversation != null) {
+      const valid =
+        Array.isArray(entry.conversation) &&
+        entry.conversation.every(
+          (message) => ["user", "assistant"].includes(message?.role) && typeof message.content === "string",
+        );
+      if (!valid) problems.push('.conversation must be a list of { role: "user" or "assistant", content } messages');
+    }
+    return problems;
+  },
+
+  /**
+   * Apply a backup, after validating all of it (see validate()) so nothing is written from a damaged file
+   * History is merged by id first; the settings are then replaced in one write, leaving unknown ones out.
+   * An API key is only written for a provider without a different saved key, unless overwrite is set.
+   * @param {Object} data - Backup
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite] - Replace local entries and keys that differ instead of keeping them
+   * @returns {Promise<Object>} Report: { settings: number, added: number, unchanged: number,
+   *   conflicts: Array<{id, title, date, replaced}>, keys: string[], keyConflicts: Array<{provider, replaced}>,
+   *   keysLocked: boolean, endpoint: {baseUrl: string, granted: boolean}|null }
+   * @throws {Object} Structured error ({ type: "invalid_backup", userMessage, debugInfo }) from validate()
+   */
+  async import(data, { overwrite = false } = {}) {
+    this.validate(data);
+
+    const types = this.settingTypes();
+    const settings = Object.fromEntries(Object.entries(data.settings).filter(([key]) => types[key]));
+    // A backup made without keys has no custom headers; keep the ones saved here
+    const custom = settings[ProviderSettings.storageKey]?.custom;
+    if (custom && !("headers" in custom)) {
+      const saved = (await chrome.storage.local.get([ProviderSettings.storageKey]))[ProviderSettings.storageKey];
+      const headers = saved?.custom?.headers;
+      if (headers) {
+        settings[ProviderSettings.storageKey] = { ...settings[ProviderSettings.storageKey], custom: { ...custom, headers } };
+      }
+    }
+
+    const report = {
+      settings: Object.keys(settings).length,
+      added: 0,
+      unchanged: 0,
+      conflicts: [],
+      keys: [],
+      keyConflicts: [],
+      keysLocked: false,
+      endpoint: null,
+    };
+
+    for (const entry of data.history) {
+      const local = await HistoryStore.get(entry.id);
+      if (!local) {
+        await HistoryStore.add(entry);
+        report.added++;
+      } else if (this._sameEntry(local, entry)) {
+        report.unchanged++;
+      } else {
+        if (overwrite) await HistoryStore.add(entry);
+        report.conflicts.push({ id: entry.id, title: entry.title, date: entry.date, replaced: overwrite });
+      }
+    }
+
+    await chrome.storage.local.set(settings);
+
+    // The extension can only reach an imported custom endpoint once its host is granted on this machine
+    const baseUrl = settings[ProviderSettings.storageKey]?.custom?.baseUrl;
+    if (baseUrl) {
+      report.endpoint = { baseUrl, granted: await CustomProvider.ensureAccess(baseUrl) };
+    }
+
+    const apiKeys = Object.entries(data.apiKeys || {}).filter(([, apiKey]) => apiKey);
+    if (apiKeys.length > 0 && (await KeyVault.isLocked())) {
+      report.keysLocked = true;
+      return report;
+    }
+
+    const saved = await KeyVault.getKeys();
+    for (const [provider, apiKey] of apiKeys) {
+      if (saved[provider] === apiKey) continue;
+      if (saved[provider]) {
+        report.keyConflicts.push({ provider, replaced: overwrite });
+        if (!overwrite) continue;
+      }
+      await KeyVault.saveKey(provider, apiKey);
+      report.keys.push(provider);
+    }
+    return report;
+  },
+
+  /**
+   * Whether an imported entry matches the stored one (the stored domain is derived, so it is left out)
+   * @param {Object} local - Stored entry
+   * @param {Object} imported - Entry from the backup
+   * @returns {boolean}
+   */
+  _sameEntry(local, imported) {
+    const comparable = ({ domain, ...rest }) => this._canonicalJson({ pinned: false, ...rest });
+    return comparable(local) === comparable(imported);
+  },
+
+  /**
+   * JSON with object keys sorted, so equal entries compare equal whatever their key order
+   * @param {*} value - JSON-compatible value
+   * @returns {string}
+   */
+  _canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map((item) => this._canonicalJson(item)).join(",")}]`;
+    if (value && typeof value === "object") {
+      return `{${Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${this._canonicalJson(value[key])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value) ?? "null";
+  },
+
+  /**
+   * All history entries as one Markdown document, newest first, with their follow-up conversations
+   * @param {Array<Object>} entries - History entries
+   * @param {Object} [labels] - Display names for ids
+   * @param {function(string): string} [labels.providerName] - Name of a provider id
+   * @param {function(string): string} [labels.typeName] - Name of a summary type id
+   * @returns {string}
+   */
+  toMarkdown(entries, { providerName = (id) => id, typeName = (id) => id } = {}) {
+    const sections = entries.map((entry) => {
+      const provider = [entry.provider && providerName(entry.provider), entry.model && `(${entry.model})`]
+        .filter(Boolean)
+        .join(" ");
+      const details = [
+        entry.url && `**Source:** ${entry.url}`,
+        `**Date:** ${new Date(entry.date).toISOString().split("T")[0]}`,
+        entry.type && `**Summary type:** ${typeName(entry.type)}`,
+        provider && `**Generated by:** ${provider}`,
+      ].filter(Boolean);
+      // Trailing double spaces keep the details on separate lines of one quote
+      const lines = [`## ${entry.title || "Untitled Page"}`, ``, `> ${details.join("  \n> ")}`, ``, entry.text];
+
+      const messages = entry.conversation || [];
+      if (messages.length > 0) {
+        lines.push(``, `### Follow-up Conversation`);
+        messages.forEach((message) => {
+          lines.push(``, `**${message.role === "user" ? "You" : "Assistant"}:** ${message.content}`);
+        });
+      }
+      return lines.join("\n");
+    });
+
+    return [
+      `# DashSummarize History`,
+      ``,
+      `> ${entries.length} summar${entries.length === 1 ? "y" : "ies"}, exported ${new Date().toISOString().split("T")[0]}`,
+      ``,
+      ...sections.flatMap((section) => [`---`, ``, section, ``]),
+    ].join("\n");
+  },
+
+  /**
+   * @param {string} kind - e.g. "backup" or "history"
+   * @param {string} extension - File extension without the dot
+   * @returns {string} e.g. "dashsummarize-backup-2025-01-31.json"
+   */
+  filename(kind, extension) {
+    return `dashsummarize-${kind}-${new Date().toISOString().split("T")[0]}.${extension}`;
+  },
+};
+
+// Export for use in history.js
+if (typeof window !== "undefined") {
+  window.Backup = Backup;
+}
@@ -0,0 +1,174 @@
+/**
+ * Budgets - Daily or monthly spending caps per provider
+ * Spend is the estimated cost of every provider call (see UsageTracker) and starts over
+ * with each new day or month. Calls to models without a known price don't count.
+ */
+
+const Budgets = {
+  settingsKey: "provider_budgets",
+  spendKey: "budget_spend",
+  warningKey: "cost_warning_threshold",
+  periods: ["daily", "monthly"],
+
+  // Serializes spend updates, so concurrent calls (e.g. a batch of tabs) don't overwrite each other
+  _queue: Promise.resolve(),
+
+  /**
+   * Budget settings of every provider
+   * @returns {Promise<Object<string, {limit: number, period: string}>>} limit 0 means no budget
+   */
+  async getSettings() {
+    const stored = await chrome.storage.local.get([this.settingsKey]);
+    return stored[this.settingsKey] || {};
+  },
+
+  /**
+   * @param {Object<string, {limit: number, period: string}>} settings - Budget settings by provider
+   */
+  async saveSettings(settings) {
+    await chrome.storage.local.set({ [this.settingsKey]: settings });
+  },
+
+  /**
+   * Per-request cost above which a summary is flagged before it runs
+   * @returns {Promise<number>} USD, 0 when warnings are off
+   */
+  async getWarningThreshold() {
+    const stored = await chrome.storage.local.get([this.warningKey]);
+    return stored[this.warningKey] || 0;
+  },
+
+  /**
+   * Key of the budget period a date falls in, in local time
+   * @param {string} period - "daily" or "monthly"
+   * @param {Date} [date] - Defaults to now
+   * @returns {string} "YYYY-MM-DD" or "YYYY-MM"
+   */
+  periodKey(period, date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    return period === "daily" ? `${month}-${pad(date.getDate())}` : month;
+  },
+
+  /**
+   * Budget and spend of a provider in the current period
+   * @param {string} provider - Provider id
+   * @returns {Promise<{provider: string, limit: number, period: string, spent: number, exhausted: boolean}>}
+   */
+  async getStatus(provider) {
+    const [settings, stored] = await Promise.all([
+      this.getSettings(),
+      chrome.storage.local.get([this.spendKey]),
+    ]);
+    const { limit = 0, period = "monthly" } = settings[provider] || {};
+    const spend = stored[this.spendKey]?.[provider];
+
+    // Spend from an earlier period (or under a different period setting) no longer counts
+    const spent = spend?.key === this.periodKey(period) ? spend.spent : 0;
+    return { provider, limit, period, spent, exhausted: limit > 0 && spent >= limit };
+  },
+
+  /**
+   * Add the cost of a call to its provider's spend
+   * @param {string} provider - Provider id
+   * @param {number|null} cost - Estimated cost in USD (null when the price is unknown); negative to give back a reservation
+   */
+  addSpend(provider, cost) {
+    if (!cost) return Promise.resolve();
+
+    this._queue = this._queue
+      .then(() => this._writeSpend(provider, cost))
+      .catch((err) => console.error("Failed to record spend:", err));
+    return this._queue;
+  },
+
+  /**
+   * Throw if a provider's budget is used up, or would be by a call of the estimated cost. Otherwise
+   * the estimated cost is counted as spent right away, so calls running side by side (e.g. a batch
+   * of tabs) can't all pass against the same remaining budget; settle() swaps it for the actual cost.
+   * @param {string} provider - Provider id
+   * @param {number|null} [estimatedCost] - Estimated cost of the call in USD (null when the price is unknown)
+   * @returns {Promise<number>} Amount reserved, to pass to settle()
+   * @throws {Object} Structured error ({ type: "budget_exceeded", userMessage, debugInfo })
+   */
+  reserve(provider, estimatedCost = null) {
+    const reservation = this._queue.then(async () => {
+      const status = await this.getStatus(provider);
+      const overBy = status.limit > 0 && estimatedCost ? status.spent + estimatedCost - status.limit : 0;
+      if (status.exhausted || overBy > 0) {
+        throw {
+          type: ERROR_TYPES.BUDGET_EXCEEDED,
+          userMessage: status.exhausted ? this.describeExhausted(status) : this.describeShortfall(status, estimatedCost),
+          debugInfo:
+            `${provider} spent $${status.spent.toFixed(4)} of its ${status.period} budget of $${status.limit}` +
+            (estimatedCost ? `; the next call is estimated at $${estimatedCost.toFixed(4)}` : ""),
+        };
+      }
+
+      if (!estimatedCost) return 0;
+      await this._writeSpend(provider, estimatedCost);
+      return estimatedCost;
+    });
+
+    // A refused call must not hold up the spend updates queued after it
+    this._queue = reservation.catch(() => {});
+    return reservation;
+  },
+
+  /**
+   * Replace a call's reservation with its actual cost
+   * @param {string} provider - Provider id
+   * @param {number} reserved - Result of reserve()
+   * @param {number|null} cost - Actual cost in USD; null when the call failed or its price is unknown
+   */
+  settle(provider, reserved, cost) {
+    return this.addSpend(provider, (cost || 0) - reserved);
+  },
+
+  /**
+   * Change a provider's spend in the current period; callers run this inside _queue
+   * @param {string} provider - Provider id
+   * @param {number} amount - USD to add (negative to subtract)
+   */
+  async _writeSpend(provider, amount) {
+    const { period } = await this.getStatus(provider);
+    const stored = await chrome.storage.local.get([this.spendKey]);
+    const spend = stored[this.spendKey] || {};
+    const key = this.periodKey(period);
+    const spent = spend[provider]?.key === key ? spend[provider].spent : 0;
+
+    spend[provider] = { key, spent: Math.max(0, spent + amount) };
+    await chrome.storage.local.set({ [this.spendKey]: spend });
+  },
+
+  /**
+   * Explain that a budget is used up and when it resets
+   * @param {Object} status - Result of getStatus()
+   * @returns {string}
+   */
+  describeExhausted({ provider, limit, period }) {
+    const name = PROVIDER_NAMES[provider] || provider;
+    const resets = period === "daily" ? "tomorrow" : "next month";
+    return `💸 The ${period} budget of ${UsageTracker.formatCost(limit)} for ${name} is used up. It resets ${resets}, or raise it in Spending Budgets.`;
+  },
+
+  /**
+   * Explain that a call would cost more than is left of a budget
+   * @param {Object} status - Result of getStatus()
+   * @param {number} estimatedCost - Estimated cost of the call in USD
+   * @returns {string}
+   */
+  describeShortfall({ provider, limit, period, spent }, estimatedCost) {
+    const name = PROVIDER_NAMES[provider] || provider;
+    return (
+      `💸 This request is estimated to cost up to ${UsageTracker.formatCost(estimatedCost)}, more than the ` +
+      `${UsageTracker.formatCost(Math.max(0, limit - spent))} left of the ${period} budget for ${name}. ` +
+      "Raise the budget in Spending Budgets, or pick a cheaper model or a shorter reply length."
+    );
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.Budgets = Budgets;
+}
@@ -0,0 +1,109 @@
+document.addEventListener("DOMContentLoaded", init);
+
+const $ = (id) => document.getElementById(id);
+
+// Rows shown in the domain table
+const TOP_DOMAINS = 15;
+
+async function init() {
+  const stored = await chrome.storage.local.get(["theme"]);
+  if (stored.theme === "light") {
+    document.body.classList.add("light-theme");
+  }
+
+  $("period-filter").addEventListener("change", render);
+  await render();
+}
+
+/**
+ * Total the usage records of the selected period and fill the cards and tables
+ */
+async function render() {
+  let records = [];
+  try {
+    records = UsageTracker.recordsOf(await HistoryStore.getAll());
+  } catch (err) {
+    console.error("Failed to load usage:", err);
+  }
+
+  const days = Number($("period-filter").value);
+  if (days) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    records = records.filter((record) => new Date(record.date).getTime() >= since);
+  }
+
+  const total = UsageTracker.total(records);
+  $("total-cost").textContent = UsageTracker.formatCost(total.cost);
+  $("total-input").textContent = UsageTracker.formatTokens(total.inputTokens);
+  $("total-output").textContent = UsageTracker.formatTokens(total.outputTokens);
+  $("total-calls").textContent = UsageTracker.formatTokens(total.calls);
+
+  renderTable(
+    $("provider-table"),
+    "Provider",
+    UsageTracker.groupBy(records, (record) => record.provider),
+    (key) => PROVIDER_NAMES[key] || key,
+  );
+  renderTable(
+    $("day-table"),
+    "Day",
+    UsageTracker.groupBy(records, (record) => localDate(record.date)).sort((a, b) => b.key.localeCompare(a.key)),
+    (key) => new Date(`${key}T00:00:00`).toLocaleDateString(),
+  );
+  renderTable(
+    $("domain-table"),
+    "Domain",
+    UsageTracker.groupBy(records, (record) => record.domain).slice(0, TOP_DOMAINS),
+    (key) => key || "(no page)",
+  );
+}
+
+/**
+ * Local calendar day of an ISO timestamp
+ * @param {string} iso - Timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function localDate(iso) {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fill a usage table with one row per group
+ * @param {HTMLTableElement} table - Target table
+ * @param {string} heading - Name of the group column
+ * @param {Array<Object>} groups - Groups from UsageTracker.groupBy()
+ * @param {function(string): string} label - Display name of a group key
+ */
+function renderTable(table, heading, groups, label) {
+  table.textContent = "";
+
+  const addRow = (cells, cellTag) => {
+    const row = table.insertRow();
+    cells.forEach((text) => {
+      const cell = document.createElement(cellTag);
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+  };
+
+  addRow([heading, "Calls", "Input tokens", "Output tokens", "Cost"], "th");
+  if (groups.length === 0) {
+    addRow(["No usage in this period", "", "", "", ""], "td");
+    return;
+  }
+
+  groups.forEach((group) =>
+    addRow(
+      [
+        label(group.key),
+        UsageTracker.formatTokens(group.calls),
+        UsageTracker.formatTokens(group.inputTokens),
+        UsageTracker.formatTokens(group.outputTokens),
+        UsageTracker.formatCost(group.cost),
+      ],
+      "td",
+    ),
+  );
+}
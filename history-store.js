@@ -0,0 +1,197 @@
+/**
+ * History Store - IndexedDB persistence for summary history
+ * Keeps an unlimited number of summaries; shared by the popup and the history page
+ */
+
+const HistoryStore = {
+  dbName: "dashsummarize",
+  dbVersion: 1,
+  storeName: "summaries",
+  legacyStorageKey: "summary_history",
+  _dbPromise: null,
+
+  /**
+   * Open (and on first use, create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: "id" });
+          store.createIndex("date", "date");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._dbPromise;
+  },
+
+  /**
+   * Run a single-store operation inside a transaction
+   * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+   * @param {function(IDBObjectStore): IDBRequest|void} operation - Issues the request(s)
+   * @returns {Promise<*>} Result of the returned request, once the transaction completes
+   */
+  async _run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  /**
+   * Hostname of a URL, or "" for missing/invalid URLs
+   * @param {string} url - Page URL
+   * @returns {string}
+   */
+  domainOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return "";
+    }
+  },
+
+  /**
+   * Add or replace a summary entry
+   * @param {Object} entry - History entry ({ id, text, title, url, type, date, ... })
+   * @returns {Promise<string>} Entry id
+   */
+  add(entry) {
+    return this._run("readwrite", (store) =>
+      store.put({ pinned: false, ...entry, domain: this.domainOf(entry.url) }),
+    );
+  },
+
+  /**
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|undefined>}
+   */
+  get(id) {
+    return this._run("readonly", (store) => store.get(id));
+  },
+
+  /**
+   * Merge changes into an existing entry
+   * @param {string} id - Entry id
+   * @param {Object|function(Object): Object} changes - Fields to overwrite, or a function of the
+   *   current entry returning them (read and written in one transaction)
+   * @returns {Promise<boolean>} False if the entry does not exist
+   */
+  async update(id, changes) {
+    const previous = await this._run("readwrite", (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        const fields = typeof changes === "function" ? changes(request.result) : changes;
+        store.put({ ...request.result, ...fields });
+      };
+      return request;
+    });
+    return Boolean(previous);
+  },
+
+  delete(id) {
+    return this._run("readwrite", (store) => store.delete(id));
+  },
+
+  clear() {
+    return this._run("readwrite", (store) => store.clear());
+  },
+
+  /**
+   * All entries, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const entries = await this._run("readonly", (store) => store.index("date").getAll());
+    return entries.reverse();
+  },
+
+  /**
+   * Most recent entries, newest first
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRecent(limit) {
+    const entries = [];
+    await this._run("readonly", (store) => {
+      const request = store.index("date").openCursor(null, "prev");
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || entries.length >= limit) return;
+        entries.push(cursor.value);
+        cursor.continue();
+      };
+    });
+    return entries;
+  },
+
+  /**
+   * Full-text search with filters; pinned entries first, then newest first
+   * @param {Object} filters
+   * @param {string} [filters.query] - Words that must all appear in the title, URL, summary or conversation
+   * @param {string} [filters.domain] - Exact hostname
+   * @param {string} [filters.type] - Summary type id
+   * @param {string} [filters.provider] - Provider id
+   * @param {string} [filters.from] - Earliest date (YYYY-MM-DD, inclusive)
+   * @param {string} [filters.to] - Latest date (YYYY-MM-DD, inclusive)
+   * @param {boolean} [filters.pinnedOnly] - Only pinned entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async search({ query = "", domain = "", type = "", provider = "", from = "", to = "", pinnedOnly = false } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+    const entries = await this.getAll();
+    return entries
+      .filter((entry) => {
+        if (domain && entry.domain !== domain) return false;
+        if (type && entry.type !== type) return false;
+        if (provider && entry.provider !== provider) return false;
+        if (pinnedOnly && !entry.pinned) return false;
+
+        const time = new Date(entry.date).getTime();
+        if (time < fromTime || time > toTime) return false;
+
+        if (terms.length === 0) return true;
+        const haystack = [
+          entry.title,
+          entry.url,
+          entry.text,
+          ...(entry.conversation || []).map((message) => message.content),
+        ]
+          .join("\n")
+          .toLowerCase();
+        return terms.every((term) => haystack.includes(term));
+      })
+      .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)));
+  },
+
+  /**
+   * Move entries from the old 10-item chrome.storage.local list into IndexedDB (runs once)
+   */
+  async migrateLegacyHistory() {
+    const stored = await chrome.storage.local.get([this.legacyStorageKey]);
+    const legacy = stored[this.legacyStorageKey];
+    if (!Array.isArray(legacy)) return;
+
+    for (const entry of legacy) {
+      if (entry?.id) await this.add(entry);
+    }
+    await chrome.storage.local.remove(this.legacyStorageKey);
+  },
+};
+
+// Export for use in popup.js and history.js
+if (typeof window !== "undefined") {
+  window.HistoryStore = HistoryStore;
+}
@@ -0,0 +1,439 @@
+document.addEventListener("DOMContentLoaded", init);
+
+const $ = (id) => document.getElementById(id);
+
+// Summary types for display names (built-in and custom)
+let summaryTypes = [];
+
+// Entry currently shown in the detail pane
+let selectedEntry = null;
+
+async function init() {
+  const stored = await chrome.storage.local.get(["theme"]);
+  if (stored.theme === "light") {
+    document.body.classList.add("light-theme");
+  }
+
+  summaryTypes = await PromptTemplates.loadTypes();
+
+  try {
+    await HistoryStore.migrateLegacyHistory();
+  } catch (err) {
+    console.error("Failed to migrate history:", err);
+  }
+
+  await populateFilters();
+  await refreshList();
+
+  // history.html#<id> opens a specific entry (linked from the popup)
+  const id = decodeURIComponent(location.hash.slice(1));
+  if (id) {
+    const entry = await HistoryStore.get(id);
+    if (entry) showDetail(entry);
+  }
+
+  $("search-input").addEventListener("input", refreshList);
+  ["domain-filter", "type-filter", "provider-filter", "from-filter", "to-filter", "pinned-filter"].forEach(
+    (filterId) => $(filterId).addEventListener("change", refreshList),
+  );
+  $("pin-btn").addEventListener("click", togglePin);
+  $("copy-btn").addEventListener("click", copySelected);
+  $("delete-btn").addEventListener("click", deleteSelected);
+
+  // history.html?backup opens the backup panel (linked from the popup's settings)
+  $("backup-panel").classList.toggle("hidden", !new URLSearchParams(location.search).has("backup"));
+  $("backup-toggle-btn").addEventListener("click", () => $("backup-panel").classList.toggle("hidden"));
+  $("export-backup-btn").addEventListener("click", exportBackup);
+  $("export-markdown-btn").addEventListener("click", exportMarkdown);
+  $("import-backup-btn").addEventListener("click", () => $("import-file").click());
+  $("import-file").addEventListener("change", importBackup);
+  $("grant-endpoint-btn").addEventListener("click", grantEndpointAccess);
+}
+
+/**
+ * Display name of a summary type id
+ * @param {string} typeId - Summary type id
+ * @returns {string}
+ */
+function typeName(typeId) {
+  return summaryTypes.find((t) => t.id === typeId)?.name || typeId || "summary";
+}
+
+/**
+ * Note on the providers that failed before the one that produced a summary
+ * @param {Object} entry - History entry
+ * @returns {string} e.g. "fallback after OpenAI", or "" when the first provider succeeded
+ */
+function fallbackNote(entry) {
+  if (!entry.failedProviders?.length) return "";
+  return `fallback after ${entry.failedProviders.map(({ provider }) => PROVIDER_NAMES[provider] || provider).join(", ")}`;
+}
+
+/**
+ * Tokens and estimated cost of an entry, including its follow-up questions
+ * @param {Object} entry - History entry
+ * @returns {string} e.g. "3,210 tokens · $0.0012", or "" when no usage was recorded
+ */
+function usageNote(entry) {
+  if (!entry.usage?.length) return "";
+  const { inputTokens, outputTokens, cost } = UsageTracker.total(entry.usage);
+  const tokens = `${UsageTracker.formatTokens(inputTokens + outputTokens)} tokens`;
+  return cost == null ? tokens : `${tokens} · ${UsageTracker.formatCost(cost)}`;
+}
+
+/**
+ * Fill a filter select with options, keeping the current selection when still available
+ * @param {HTMLSelectElement} select - Filter select (first option is "All …")
+ * @param {Array<{value: string, label: string}>} options - Options to offer
+ */
+function setFilterOptions(select, options) {
+  const previous = select.value;
+  while (select.options.length > 1) select.remove(1);
+
+  options.forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  select.value = options.some((o) => o.value === previous) ? previous : "";
+}
+
+/**
+ * Build the domain, type and provider filters from the stored entries
+ */
+async function populateFilters() {
+  const entries = await HistoryStore.getAll();
+  const unique = (key) => [...new Set(entries.map((e) => e[key]).filter(Boolean))].sort();
+
+  setFilterOptions(
+    $("domain-filter"),
+    unique("domain").map((domain) => ({ value: domain, label: domain })),
+  );
+  setFilterOptions(
+    $("type-filter"),
+    unique("type").map((type) => ({ value: type, label: typeName(type) })),
+  );
+  setFilterOptions(
+    $("provider-filter"),
+    unique("provider").map((provider) => ({ value: provider, label: PROVIDER_NAMES[provider] || provider })),
+  );
+}
+
+/**
+ * Re-run the search with the current filters and render the results
+ */
+async function refreshList() {
+  try {
+    const entries = await HistoryStore.search({
+      query: $("search-input").value,
+      domain: $("domain-filter").value,
+      type: $("type-filter").value,
+      provider: $("provider-filter").value,
+      from: $("from-filter").value,
+      to: $("to-filter").value,
+      pinnedOnly: $("pinned-filter").checked,
+    });
+    renderList(entries);
+  } catch (err) {
+    console.error("Failed to load history:", err);
+  }
+}
+
+function renderList(entries) {
+  const list = $("history-list");
+  list.textContent = "";
+  $("history-count").textContent = `${entries.length} summar${entries.length === 1 ? "y" : "ies"}`;
+
+  if (entries.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "detail-empty";
+    empty.textContent = "No summaries match these filters.";
+    list.appendChild(empty);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "history-card";
+    item.classList.toggle("selected", entry.id === selectedEntry?.id);
+
+    const meta = document.createElement("div");
+    meta.className = "history-meta";
+    meta.textContent = [
+      new Date(entry.date).toLocaleDateString(),
+      entry.domain,
+      typeName(entry.type),
+      PROVIDER_NAMES[entry.provider] || entry.provider,
+      fallbackNote(entry),
+      { selection: "selection", tabs: "tab digest", pdf: "PDF" }[entry.source] || "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const title = document.createElement("div");
+    title.className = "history-title";
+    title.textContent = `${entry.pinned ? "★ " : ""}${entry.title || "Untitled Page"}`;
+
+    const preview = document.createElement("div");
+    preview.className = "history-preview";
+    preview.textContent = entry.text ? entry.text.slice(0, 160) : "No summary text";
+
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.appendChild(preview);
+    item.addEventListener("click", () => showDetail(entry));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Render Markdown into an element as sanitized HTML
+ * @param {HTMLElement} el - Target element
+ * @param {string} markdown - Text in Markdown
+ */
+function renderMarkdown(el, markdown) {
+  el.innerHTML = DOMPurify.sanitize(marked.parse(markdown || ""));
+}
+
+/**
+ * Show a summary, fully rendered, in the detail pane
+ * @param {Object} entry - History entry
+ */
+function showDetail(entry) {
+  selectedEntry = entry;
+  history.replaceState(null, "", `#${encodeURIComponent(entry.id)}`);
+
+  $("detail-empty").classList.add("hidden");
+  $("detail-content").classList.remove("hidden");
+
+  $("detail-title").textContent = entry.title || "Untitled Page";
+  $("detail-url").textContent = entry.url || "";
+  $("detail-url").href = entry.url || "#";
+  $("detail-meta").textContent = [
+    new Date(entry.date).toLocaleString(),
+    typeName(entry.type),
+    [PROVIDER_NAMES[entry.provider] || entry.provider, entry.model && `(${entry.model})`].filter(Boolean).join(" "),
+    fallbackNote(entry),
+    entry.language,
+    { selection: "Selected text", tabs: "Digest of open tabs", pdf: "PDF document" }[entry.source] || "",
+    usageNote(entry),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  $("pin-btn").textContent = entry.pinned ? "★ Unpin" : "☆ Pin";
+
+  renderMarkdown($("detail-summary"), entry.text);
+
+  const messages = entry.conversation || [];
+  $("detail-conversation").classList.toggle("hidden", messages.length === 0);
+  $("detail-messages").textContent = "";
+  messages.forEach((message) => {
+    const bubble = document.createElement("div");
+    bubble.className = `chat-message ${message.role}`;
+    if (message.role === "assistant") {
+      renderMarkdown(bubble, message.content);
+    } else {
+      bubble.textContent = message.content;
+    }
+    $("detail-messages").appendChild(bubble);
+  });
+
+  // Re-render so the selection highlight (and pin star) follow the entry
+  refreshList();
+}
+
+function clearDetail() {
+  selectedEntry = null;
+  history.replaceState(null, "", location.pathname);
+  $("detail-content").classList.add("hidden");
+  $("detail-empty").classList.remove("hidden");
+}
+
+async function togglePin() {
+  if (!selectedEntry) return;
+
+  const pinned = !selectedEntry.pinned;
+  await HistoryStore.update(selectedEntry.id, { pinned });
+  showDetail({ ...selectedEntry, pinned });
+}
+
+async function copySelected() {
+  if (!selectedEntry) return;
+
+  try {
+    await navigator.clipboard.writeText(selectedEntry.text);
+    $("copy-btn").textContent = "Copied!";
+    setTimeout(() => ($("copy-btn").textContent = "Copy as Markdown"), 2000);
+  } catch (err) {
+    console.error("[Clipboard Error]", err);
+  }
+}
+
+async function deleteSelected() {
+  if (!selectedEntry) return;
+  if (!confirm(`Delete the summary of "${selectedEntry.title || "Untitled Page"}"?`)) return;
+
+  await HistoryStore.delete(selectedEntry.id);
+  clearDetail();
+  await populateFilters();
+  await refreshList();
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - e.g. "application/json"
+ */
+function downloadFile(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {string} message - Status line of the backup panel
+ * @param {string} color - Text color
+ */
+function showBackupStatus(message, color) {
+  $("backup-status").textContent = message;
+  $("backup-status").style.color = color;
+  $("grant-endpoint-btn").classList.add("hidden");
+}
+
+async function exportBackup() {
+  $("backup-conflicts").classList.add("hidden");
+  try {
+    const backup = await Backup.export({ includeApiKeys: $("backup-include-keys").checked });
+    downloadFile(JSON.stringify(backup, null, 2), Backup.filename("backup", "json"), "application/json");
+
+    const keyCount = Object.keys(backup.apiKeys || {}).length;
+    showBackupStatus(
+      `✓ Exported ${Object.keys(backup.settings).length} settings, ${backup.history.length} summar${backup.history.length === 1 ? "y" : "ies"}` +
+        (backup.apiKeys ? ` and ${keyCount} API key${keyCount === 1 ? "" : "s"}` : ""),
+      "#4ade80",
+    );
+  } catch (err) {
+    console.error("[Backup Error]", err.debugInfo || err);
+    showBackupStatus(err.userMessage || "✗ Failed to export the backup.", "#f87171");
+  }
+}
+
+async function exportMarkdown() {
+  $("backup-conflicts").classList.add("hidden");
+  try {
+    const entries = await HistoryStore.getAll();
+    const markdown = Backup.toMarkdown(entries, {
+      providerName: (provider) => PROVIDER_NAMES[provider] || provider,
+      typeName,
+    });
+    downloadFile(markdown, Backup.filename("history", "md"), "text/markdown");
+    showBackupStatus(`✓ Exported ${entries.length} summar${entries.length === 1 ? "y" : "ies"} as Markdown`, "#4ade80");
+  } catch (err) {
+    console.error("[Backup Error]", err);
+    showBackupStatus("✗ Failed to export the history.", "#f87171");
+  }
+}
+
+/**
+ * Ask for access to an imported custom endpoint's host
+ * The request made during the import has no user gesture left, so it can only find access granted before.
+ */
+async function grantEndpointAccess() {
+  const { baseUrl } = $("grant-endpoint-btn").dataset;
+  const { hostname } = new URL(baseUrl);
+  if (await CustomProvider.ensureAccess(baseUrl)) {
+    showBackupStatus(`✓ DashSummarize can now reach ${hostname}`, "#4ade80");
+  } else {
+    showBackupStatus(`✗ Access to ${hostname} was not allowed. Save the endpoint in the popup to ask again.`, "#f87171");
+  }
+}
+
+/**
+ * Validate and import the chosen backup file, then report what changed and what conflicted
+ * @param {Event} event - File input change event
+ */
+async function importBackup(event) {
+  const [file] = event.target.files;
+  // Let the same file be chosen again, e.g. after unlocking the keys
+  event.target.value = "";
+  if (!file) return;
+
+  $("backup-conflicts").classList.add("hidden");
+  let backup;
+  try {
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (err) {
+      throw { userMessage: "✗ This file isn't valid JSON.", debugInfo: err.message };
+    }
+    Backup.validate(backup);
+  } catch (err) {
+    console.error("[Backup Error]", err.debugInfo || err);
+    showBackupStatus(err.userMessage || "✗ Failed to read the backup.", "#f87171");
+    return;
+  }
+
+  const exportedAt = new Date(backup.exportedAt);
+  const from = Number.isNaN(exportedAt.getTime()) ? "" : ` from ${exportedAt.toLocaleString()}`;
+  if (!confirm(`Import the backup${from}? Your settings will be replaced by the backup's.`)) return;
+
+  let report;
+  try {
+    report = await Backup.import(backup, { overwrite: $("import-overwrite").checked });
+  } catch (err) {
+    console.error("[Backup Error]", err.debugInfo || err);
+    showBackupStatus(err.userMessage || "✗ Failed to import the backup.", "#f87171");
+    return;
+  }
+
+  const keyNames = report.keys.map((provider) => PROVIDER_NAMES[provider] || provider);
+  const notes = [
+    `${report.settings} settings`,
+    `${report.added} new summar${report.added === 1 ? "y" : "ies"}`,
+    report.unchanged > 0 && `${report.unchanged} already here`,
+    keyNames.length > 0 && `API keys for ${keyNames.join(", ")}`,
+  ].filter(Boolean);
+  const warnings = [
+    report.conflicts.length > 0 &&
+      `${report.conflicts.length} summar${report.conflicts.length === 1 ? "y differs" : "ies differ"} from yours`,
+    report.keyConflicts.length > 0 &&
+      `${report.keyConflicts.length} API key${report.keyConflicts.length === 1 ? " differs" : "s differ"} from yours` +
+        (report.keyConflicts[0].replaced ? " (replaced)" : " (kept yours)"),
+    report.keysLocked && "API keys were skipped because your key vault is locked; unlock it in the popup and import again",
+    report.endpoint?.granted === false &&
+      `DashSummarize can't reach your custom endpoint at ${new URL(report.endpoint.baseUrl).hostname} until you allow it`,
+  ].filter(Boolean);
+  showBackupStatus(
+    `✓ Imported ${notes.join(", ")}${warnings.length > 0 ? `. ⚠️ ${warnings.join("; ")}.` : ""}`,
+    warnings.length > 0 ? "#fbbf24" : "#4ade80",
+  );
+  if (report.endpoint?.granted === false) {
+    const button = $("grant-endpoint-btn");
+    button.textContent = `🔓 Allow access to ${new URL(report.endpoint.baseUrl).hostname}`;
+    button.dataset.baseUrl = report.endpoint.baseUrl;
+    button.classList.remove("hidden");
+  }
+
+  const list = $("backup-conflicts");
+  list.textContent = "";
+  report.conflicts.forEach(({ title, date, replaced }) => {
+    const item = document.createElement("li");
+    item.textContent = `${title || "Untitled Page"} (${new Date(date).toLocaleDateString()}): ${replaced ? "replaced with the backup's copy" : "kept yours"}`;
+    list.appendChild(item);
+  });
+  list.classList.toggle("hidden", report.conflicts.length === 0);
+
+  // The theme and summary types may have changed with the settings
+  const { theme } = await chrome.storage.local.get(["theme"]);
+  document.body.classList.toggle("light-theme", theme === "light");
+  summaryTypes = await PromptTemplates.loadTypes();
+  await populateFilters();
+  await refreshList();
+}
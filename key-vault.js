@@ -0,0 +1,269 @@
+/**
+ * Key Vault - Optional passphrase encryption of the saved API keys
+ * Without a vault, keys are stored in chrome.storage.local as before. With one, they are
+ * encrypted with AES-GCM under a key derived from the passphrase (PBKDF2), and unlocking puts
+ * them in chrome.storage.session (memory only, cleared when the browser closes) until the
+ * lock timeout.
+ */
+
+const KeyVault = {
+  vaultKey: "key_vault",
+  sessionKey: "key_vault_session",
+  lockMinutesKey: "key_vault_lock_minutes",
+  alarmName: "key-vault-lock",
+  defaultLockMinutes: 30,
+  iterations: 310000,
+  minPassphraseLength: 8,
+  providers: ["openai", "gemini", "claude", "custom"],
+
+  // Encrypted to tell a wrong passphrase from a right one when the vault holds no keys
+  _checkValue: "dashsummarize-key-vault",
+
+  /**
+   * Whether keys are stored encrypted
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    return Boolean(await this._getVault());
+  },
+
+  /**
+   * Whether keys are encrypted and not unlocked for this session
+   * @returns {Promise<boolean>}
+   */
+  async isLocked() {
+    return (await this.isEnabled()) && !(await this._getSession());
+  },
+
+  /**
+   * When the unlocked keys lock again
+   * @returns {Promise<number|null>} Timestamp, or null when locked or unlocked until the browser closes
+   */
+  async unlockedUntil() {
+    return (await this._getSession())?.expiresAt || null;
+  },
+
+  /**
+   * Providers that have a saved key, whether or not the vault is locked
+   * @returns {Promise<string[]>}
+   */
+  async listSavedKeys() {
+    const vault = await this._getVault();
+    if (vault) return Object.keys(vault.keys);
+
+    const stored = await chrome.storage.local.get(this.providers.map((id) => `${id}_api_key`));
+    return this.providers.filter((id) => stored[`${id}_api_key`]);
+  },
+
+  /**
+   * API keys usable right now
+   * @returns {Promise<Object<string, string>>} Keys by provider; empty while the vault is locked
+   */
+  async getKeys() {
+    if (await this.isEnabled()) {
+      return (await this._getSession())?.keys || {};
+    }
+
+    const stored = await chrome.storage.local.get(this.providers.map((id) => `${id}_api_key`));
+    return Object.fromEntries(this.providers.filter((id) => stored[`${id}_api_key`]).map((id) => [id, stored[`${id}_api_key`]]));
+  },
+
+  /**
+   * Save a provider's API key, encrypted when the vault is on
+   * @param {string} provider - Provider id
+   * @param {string} apiKey - API key
+   * @throws {Object} Structured error ({ type: "vault_locked", userMessage, debugInfo }) while locked
+   */
+  async saveKey(provider, apiKey) {
+    const vault = await this._getVault();
+    if (!vault) {
+      await chrome.storage.local.set({ [`${provider}_api_key`]: apiKey });
+      return;
+    }
+
+    const session = await this._requireSession();
+    const cryptoKey = await this._importKey(session.cryptoKey);
+    vault.keys[provider] = await this._encrypt(cryptoKey, apiKey);
+    session.keys[provider] = apiKey;
+    await chrome.storage.local.set({ [this.vaultKey]: vault });
+    await chrome.storage.session.set({ [this.sessionKey]: session });
+  },
+
+  /**
+   * Turn the vault on: encrypt the saved keys under a passphrase and remove the plaintext copies
+   * Leaves the vault unlocked for this session.
+   * @param {string} passphrase - New passphrase
+   */
+  async enable(passphrase) {
+    const keys = await this.getKeys();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cryptoKey = await this._deriveKey(passphrase, salt, this.iterations);
+
+    const vault = {
+      salt: this._toBase64(salt),
+      iterations: this.iterations,
+      check: await this._encrypt(cryptoKey, this._checkValue),
+      keys: {},
+    };
+    for (const [provider, apiKey] of Object.entries(keys)) {
+      vault.keys[provider] = await this._encrypt(cryptoKey, apiKey);
+    }
+
+    await chrome.storage.local.set({ [this.vaultKey]: vault });
+    await chrome.storage.local.remove(this.providers.map((id) => `${id}_api_key`));
+    await this._startSession(cryptoKey, keys);
+  },
+
+  /**
+   * Turn the vault off: store the keys in plaintext again
+   * @throws {Object} Structured error ({ type: "vault_locked", userMessage, debugInfo }) while locked
+   */
+  async disable() {
+    const { keys } = await this._requireSession();
+    await chrome.storage.local.set(Object.fromEntries(Object.entries(keys).map(([id, apiKey]) => [`${id}_api_key`, apiKey])));
+    await chrome.storage.local.remove(this.vaultKey);
+    await this.lock();
+  },
+
+  /**
+   * Delete the vault and the keys in it, e.g. after a forgotten passphrase
+   */
+  async reset() {
+    await chrome.storage.local.remove(this.vaultKey);
+    await this.lock();
+  },
+
+  /**
+   * Decrypt the keys for this session
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<boolean>} false if the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const vault = await this._getVault();
+    if (!vault) return true;
+
+    const cryptoKey = await this._deriveKey(passphrase, this._fromBase64(vault.salt), vault.iterations);
+    const keys = {};
+    try {
+      if ((await this._decrypt(cryptoKey, vault.check)) !== this._checkValue) return false;
+      for (const [provider, encrypted] of Object.entries(vault.keys)) {
+        keys[provider] = await this._decrypt(cryptoKey, encrypted);
+      }
+    } catch (err) {
+      // AES-GCM fails authentication under the wrong key
+      return false;
+    }
+
+    await this._startSession(cryptoKey, keys);
+    return true;
+  },
+
+  /**
+   * Forget the unlocked keys
+   */
+  async lock() {
+    await chrome.storage.session.remove(this.sessionKey);
+    await chrome.alarms.clear(this.alarmName);
+  },
+
+  /**
+   * Minutes after unlocking that the keys lock again
+   * @returns {Promise<number>} 0 keeps them unlocked until the browser closes
+   */
+  async getLockMinutes() {
+    const stored = await chrome.storage.local.get([this.lockMinutesKey]);
+    return stored[this.lockMinutesKey] ?? this.defaultLockMinutes;
+  },
+
+  /**
+   * @param {number} minutes - Lock timeout, 0 for none
+   */
+  async saveLockMinutes(minutes) {
+    await chrome.storage.local.set({ [this.lockMinutesKey]: minutes });
+  },
+
+  async _getVault() {
+    const stored = await chrome.storage.local.get([this.vaultKey]);
+    return stored[this.vaultKey] || null;
+  },
+
+  /**
+   * The unlocked session, locking first if it has timed out
+   * (the lock alarm does so too, but alarms can fire late)
+   * @returns {Promise<Object|null>} { keys, cryptoKey, expiresAt }
+   */
+  async _getSession() {
+    const stored = await chrome.storage.session.get([this.sessionKey]);
+    const session = stored[this.sessionKey];
+    if (session?.expiresAt && session.expiresAt <= Date.now()) {
+      await this.lock();
+      return null;
+    }
+    return session || null;
+  },
+
+  async _requireSession() {
+    const session = await this._getSession();
+    if (!session) {
+      throw {
+        type: ERROR_TYPES.VAULT_LOCKED,
+        userMessage: "🔒 Your API keys are locked. Unlock them with your passphrase first.",
+        debugInfo: "Key vault is locked",
+      };
+    }
+    return session;
+  },
+
+  async _startSession(cryptoKey, keys) {
+    const lockMinutes = await this.getLockMinutes();
+    const expiresAt = lockMinutes > 0 ? Date.now() + lockMinutes * 60000 : null;
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey("raw", cryptoKey));
+
+    await chrome.storage.session.set({ [this.sessionKey]: { keys, cryptoKey: this._toBase64(rawKey), expiresAt } });
+    await chrome.alarms.clear(this.alarmName);
+    if (expiresAt) {
+      await chrome.alarms.create(this.alarmName, { when: expiresAt });
+    }
+  },
+
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+      "deriveKey",
+    ]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"],
+    );
+  },
+
+  async _importKey(base64) {
+    return crypto.subtle.importKey("raw", this._fromBase64(base64), "AES-GCM", false, ["encrypt", "decrypt"]);
+  },
+
+  async _encrypt(cryptoKey, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, cryptoKey, new TextEncoder().encode(text));
+    return { iv: this._toBase64(iv), data: this._toBase64(new Uint8Array(data)) };
+  },
+
+  async _decrypt(cryptoKey, { iv, data }) {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: this._fromBase64(iv) }, cryptoKey, this._fromBase64(data));
+    return new TextDecoder().decode(plain);
+  },
+
+  _toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  },
+
+  _fromBase64(base64) {
+    return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.KeyVault = KeyVault;
+}
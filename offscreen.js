@@ -0,0 +1,97 @@
+/**
+ * Offscreen PDF reader - Extracts the text of PDF documents with the bundled pdf.js
+ * The service worker cannot load pdf.js (an ES module that starts a web worker), so it
+ * creates this offscreen document and sends it "extract-pdf" messages.
+ */
+
+import * as pdfjsLib from "./pdf.min.mjs";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL("pdf.worker.min.mjs");
+
+/**
+ * Download a PDF's bytes
+ * fetch() doesn't support file:// URLs, so local files are read with XHR
+ * (which needs "Allow access to file URLs" enabled for the extension).
+ * @param {string} url - Document URL
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function loadPdfBytes(url) {
+  if (!url.startsWith("file://")) {
+    const response = await fetch(url, { credentials: "include" });
+    if (!response.ok) throw new Error(`HTTP ${response.status} while downloading the PDF`);
+    return response.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", url);
+    xhr.responseType = "arraybuffer";
+    xhr.onload = () => resolve(xhr.response);
+    xhr.onerror = () => reject(new Error("Could not read the local file (is file access allowed?)"));
+    xhr.send();
+  });
+}
+
+/**
+ * Join a page's text items into lines, keeping pdf.js's end-of-line markers
+ * @param {Object} textContent - Result of page.getTextContent()
+ * @returns {string}
+ */
+function pageText(textContent) {
+  return textContent.items
+    .map((item) => (item.hasEOL ? `${item.str}\n` : item.str))
+    .join("")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Extract a PDF page by page, each page prefixed with a "[Page N]" marker so summaries can cite it
+ * Stops once maxLength characters have been collected.
+ * @param {string} url - Document URL
+ * @param {number} maxLength - Maximum number of characters to return
+ * @returns {Promise<{text: string, pages: number, extractedPages: number, language: string, title: string}>}
+ */
+async function extractPdf(url, maxLength) {
+  const pdf = await pdfjsLib.getDocument({ data: await loadPdfBytes(url) }).promise;
+
+  try {
+    const sections = [];
+    let length = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages && length < maxLength; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const text = pageText(await page.getTextContent());
+      page.cleanup();
+
+      if (!text) continue;
+      const section = `[Page ${pageNumber}]\n${text}`;
+      sections.push(section);
+      length += section.length + 2;
+    }
+
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    return {
+      text: sections.join("\n\n").slice(0, maxLength),
+      pages: pdf.numPages,
+      extractedPages: sections.length,
+      language: (info?.Language || "").trim(),
+      title: (info?.Title || "").trim(),
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== "extract-pdf") return false;
+
+  extractPdf(message.url, message.maxLength)
+    .then((result) => sendResponse({ result }))
+    .catch((err) => {
+      console.error("[PDF Extraction Error]", err);
+      sendResponse({ error: err?.message || "Unknown error" });
+    });
+  return true;
+});
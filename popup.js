@@ -6,20 +6,25 @@ let summary = null;
 // Store last summarization context for retry functionality
 let lastSummarizeContext = null;
 
+// Active follow-up conversation about the current summary
+let chatSession = null;
+
+// Ordered summary types (built-in and custom), loaded from storage in init()
+let summaryTypes = PromptTemplates.defaultTypes;
+
+// Page and settings details of the summary currently on screen (for translation)
+let currentSummaryMeta = null;
+
+// Number of summaries shown under "Recent Summaries" in the popup
+const RECENT_HISTORY_LIMIT = 10;
+
+// popup.html doubles as the side panel (popup.html?view=sidepanel)
+const IS_SIDE_PANEL = new URLSearchParams(location.search).get("view") === "sidepanel";
+
 // ============================================================================
 // WORD COUNT & READING TIME UTILITIES
 // ============================================================================
 
-/**
- * Count words in a text string
- * @param {string} text - The text to count words in
- * @returns {number} - Number of words
- */
-function countWords(text) {
-  if (!text || typeof text !== 'string') return 0;
-  return text.trim().split(/\s+/).filter(word => word.length > 0).length;
-}
-
 /**
  * Calculate estimated reading time based on word count
  * Uses average reading speed of 200 words per minute
@@ -50,13 +55,15 @@ function formatWordCount(count) {
 
 /**
  * Update content stats display (before summarization)
- * @param {string} content - The extracted page content
+ * @param {number} wordCount - Words in the extracted page content
+ * @param {Object} [extraction] - Extraction report from extractPageContent()
+ * @param {number} [pdfPages] - Page count when the content came from a PDF
+ * @param {{count: number, source: string}} [tokens] - Token count for the provider and how it was made
  */
-function updateContentStats(content) {
+function updateContentStats(wordCount, extraction = null, pdfPages = null, tokens = null) {
   const contentStatsEl = $('content-stats');
   if (!contentStatsEl) return;
   
-  const wordCount = countWords(content);
   const readingTime = calculateReadingTime(wordCount);
   
   contentStatsEl.innerHTML = `
@@ -69,14 +76,65 @@ function updateContentStats(content) {
       <span class="stat-value">${readingTime}</span>
     </span>
   `;
+
+  if (tokens) {
+    const approximate = tokens.source.includes('estimate') ? '~' : '';
+    contentStatsEl.insertAdjacentHTML(
+      'beforeend',
+      `
+    <span class="stat-item">
+      <span class="stat-label">Tokens:</span>
+      <span class="stat-value">${approximate}${formatWordCount(tokens.count)}</span>
+      <span class="stat-source">(${tokens.source})</span>
+    </span>
+  `,
+    );
+  }
+
+  if (extraction) {
+    const discardedPercent = extraction.pageChars
+      ? Math.round((extraction.discardedChars / extraction.pageChars) * 100)
+      : 0;
+
+    // Built with textContent: the node descriptor comes from the page's own class names
+    const sourceItem = document.createElement('span');
+    sourceItem.className = 'stat-item';
+    sourceItem.title =
+      `Extracted from <${extraction.node}> — kept ${extraction.keptChars.toLocaleString()} of ` +
+      `${extraction.pageChars.toLocaleString()} characters, removed ${extraction.removedElements} boilerplate elements`;
+
+    const label = document.createElement('span');
+    label.className = 'stat-label';
+    label.textContent = 'Boilerplate:';
+
+    const value = document.createElement('span');
+    value.className = 'stat-value';
+    value.textContent = `${discardedPercent}% removed`;
+
+    sourceItem.append(label, value);
+    contentStatsEl.appendChild(sourceItem);
+  }
+
+  if (pdfPages) {
+    const pagesItem = document.createElement('span');
+    pagesItem.className = 'stat-item';
+    pagesItem.innerHTML = `
+      <span class="stat-label">PDF pages:</span>
+      <span class="stat-value">${formatWordCount(pdfPages)}</span>
+    `;
+    contentStatsEl.appendChild(pagesItem);
+  }
+
   contentStatsEl.classList.remove('hidden');
 }
 
 /**
  * Update summary stats display (after summarization)
  * @param {string} summaryText - The generated summary
+ * @param {Object|null} [usage] - Usage record of the call that produced it (see UsageTracker)
+ * @param {string|null} [model] - Model that wrote it
  */
-function updateSummaryStats(summaryText) {
+function updateSummaryStats(summaryText, usage = null, model = null) {
   const summaryStatsEl = $('summary-stats');
   if (!summaryStatsEl) return;
   
@@ -93,6 +151,38 @@ function updateSummaryStats(summaryText) {
       <span class="stat-value">${readingTime}</span>
     </span>
   `;
+
+  // Model ids come from the provider's response or a custom endpoint, so every value is set as text
+  const appendStat = (labelText, valueText, title = "") => {
+    const item = document.createElement('span');
+    item.className = 'stat-item';
+    if (title) item.title = title;
+
+    const label = document.createElement('span');
+    label.className = 'stat-label';
+    label.textContent = labelText;
+
+    const value = document.createElement('span');
+    value.className = 'stat-value';
+    value.textContent = valueText;
+
+    item.append(label, value);
+    summaryStatsEl.appendChild(item);
+  };
+
+  // Token counts as reported by the provider, priced from UsageTracker.prices
+  if (usage) {
+    appendStat(
+      'Tokens:',
+      `${UsageTracker.formatTokens(usage.inputTokens)} in / ${UsageTracker.formatTokens(usage.outputTokens)} out`,
+      usage.model,
+    );
+    appendStat('Cost:', UsageTracker.formatCost(usage.cost));
+  }
+
+  if (model) {
+    appendStat('Model:', model);
+  }
 }
 
 /**
@@ -124,117 +214,23 @@ function scrollToBottom() {
 }
 
 // ============================================================================
-// TOKEN LIMIT & CONTENT TRIMMING UTILITIES
+// TOKEN LIMIT NOTICES
 // ============================================================================
 
-/**
- * Estimate token count from character count
- * Uses approximate ratio of 4 characters per token
- * @param {number} charCount - Number of characters
- * @returns {number} - Estimated token count
- */
-function estimateTokens(charCount) {
-  return Math.ceil(charCount / 4);
-}
-
-/**
- * Check if content exceeds safe token limits for a provider
- * @param {string} content - The content to check
- * @param {string} provider - The AI provider name
- * @returns {Object} - { isOverLimit: boolean, estimatedTokens: number, safeLimit: number }
- */
-function checkContentLimit(content, provider) {
-  const limits = TOKEN_LIMITS[provider] || TOKEN_LIMITS.openai;
-  const estimatedTokens = estimateTokens(content.length);
-  
-  return {
-    isOverLimit: estimatedTokens > limits.safeLimit,
-    estimatedTokens,
-    safeLimit: limits.safeLimit,
-    maxTokens: limits.maxTokens,
-    charsPerToken: limits.charsPerToken,
-  };
-}
-
-/**
- * Intelligently trim content to fit within token limit
- * Tries to preserve complete sentences and important content
- * @param {string} content - The content to trim
- * @param {number} maxChars - Maximum characters allowed
- * @returns {string} - Trimmed content
- */
-function trimContent(content, maxChars) {
-  if (content.length <= maxChars) {
-    return content;
-  }
-  
-  // Try to trim at a sentence boundary
-  const trimmed = content.slice(0, maxChars);
-  
-  // Find the last sentence ending (., !, ? followed by space or end)
-  const lastSentenceEnd = Math.max(
-    trimmed.lastIndexOf('. '),
-    trimmed.lastIndexOf('! '),
-    trimmed.lastIndexOf('? ')
-  );
-  
-  if (lastSentenceEnd > maxChars * 0.8) {
-    // If we found a sentence end in the last 20%, use it
-    return trimmed.slice(0, lastSentenceEnd + 1);
-  }
-  
-  // Otherwise, try to trim at a word boundary
-  const lastSpace = trimmed.lastIndexOf(' ');
-  if (lastSpace > maxChars * 0.9) {
-    return trimmed.slice(0, lastSpace);
-  }
-  
-  return trimmed;
-}
-
-/**
- * Remove common code block patterns from extracted page text
- * (fenced blocks, inline code markers, and heavily-indented code lines)
- * @param {string} content - Raw extracted content
- * @returns {string} - Content with code-heavy sections reduced
- */
-function stripCodeBlocks(content) {
-  if (!content || typeof content !== "string") {
-    return "";
-  }
-
-  let cleaned = content;
-
-  // Remove fenced code blocks: ```...``` or ~~~...~~~
-  cleaned = cleaned.replace(/```[\s\S]*?```/g, " ");
-  cleaned = cleaned.replace(/~~~[\s\S]*?~~~/g, " ");
-
-  // Remove inline code snippets enclosed with backticks
-  cleaned = cleaned.replace(/`[^`\n]+`/g, " ");
-
-  // Remove lines that look like code (4+ leading spaces / tab)
-  cleaned = cleaned
-    .split("\n")
-    .filter((line) => !/^\s{4,}|^\t/.test(line))
-    .join("\n");
-
-  // Normalize whitespace after removals
-  return cleaned.replace(/\s+/g, " ").trim();
-}
-
 /**
  * Show limit warning in the UI
- * @param {number} estimatedTokens - Estimated token count
+ * @param {number} estimatedTokens - Token count of the extracted content
  * @param {number} safeLimit - Safe token limit for the provider
+ * @param {string} tokenSource - How the count was made, e.g. "o200k_base tokenizer"
  */
-function showLimitWarning(estimatedTokens, safeLimit) {
+function showLimitWarning(estimatedTokens, safeLimit, tokenSource) {
   const warningEl = $('limit-warning');
   if (!warningEl) return;
   
   warningEl.innerHTML = `
-    <span>Content is very long (~${estimatedTokens.toLocaleString()} tokens). 
+    <span>Content is very long (${estimatedTokens.toLocaleString()} tokens, ${tokenSource}). 
     May exceed ${safeLimit.toLocaleString()} token safe limit. 
-    Consider using a shorter page or the summary may be truncated. Estimate is approximate — may vary for code or non-Latin text.</span>
+    Consider using a shorter page or the summary may be truncated.</span>
   `;
   warningEl.classList.remove('hidden');
 }
@@ -243,22 +239,46 @@ function showLimitWarning(estimatedTokens, safeLimit) {
  * Show trim notice in the UI
  * @param {number} originalLength - Original content length
  * @param {number} trimmedLength - Trimmed content length
+ * @param {number} tokensSaved - Tokens the trimmed content no longer uses
  */
-function showTrimNotice(originalLength, trimmedLength) {
+function showTrimNotice(originalLength, trimmedLength, tokensSaved) {
   const noticeEl = $('trim-notice');
   if (!noticeEl) return;
   
   const percentKept = Math.round((trimmedLength / originalLength) * 100);
-  const tokensSaved = estimateTokens(originalLength - trimmedLength);
   
+  noticeEl.classList.remove('chunk-notice');
   noticeEl.innerHTML = `
     <span>Content automatically trimmed from ${originalLength.toLocaleString()} to 
-    ${trimmedLength.toLocaleString()} characters (${percentKept}% kept, ~${tokensSaved} tokens saved) 
+    ${trimmedLength.toLocaleString()} characters (${percentKept}% kept, ${tokensSaved.toLocaleString()} tokens saved) 
     to fit within safe limits.</span>
   `;
   noticeEl.classList.remove('hidden');
 }
 
+/**
+ * Show map-reduce progress in place of the trim notice
+ * @param {number} current - Chunk (or group) currently being summarized (1-based)
+ * @param {number} total - Total number of chunks (or groups)
+ * @param {string} stage - 'chunk', 'reduce' (condensing a group of partials), 'combine' (final pass running) or 'done'
+ */
+function showChunkProgress(current, total, stage = 'chunk') {
+  const noticeEl = $('trim-notice');
+  if (!noticeEl) return;
+
+  const messages = {
+    chunk: `Long page split into ${total} chunks — summarizing chunk ${current} of ${total}…`,
+    reduce: `Too many partial summaries for one pass — condensing group ${current} of ${total}…`,
+    combine: `Combining ${total} partial summaries into the final summary…`,
+    done: `Long page summarized in ${total} chunks — no content was trimmed.`,
+  };
+  const message = messages[stage];
+
+  noticeEl.classList.add('chunk-notice');
+  noticeEl.innerHTML = `<span>${message}</span>`;
+  noticeEl.classList.remove('hidden');
+}
+
 /**
  * Hide limit warning and trim notice
  */
@@ -269,184 +289,62 @@ function hideLimitWarnings() {
   if (noticeEl) noticeEl.classList.add('hidden');
 }
 
-// ============================================================================
-// ERROR HANDLING SYSTEM
-// ============================================================================
-
+/**
+ * Show (or hide) the warning that a summary is estimated to cost more than the threshold
+ * @param {{estimatedCost: number, threshold: number}|null} costWarning - From the job
+ */
+function showCostWarning(costWarning) {
+  const warningEl = $("cost-warning");
+  if (!costWarning) {
+    warningEl.classList.add("hidden");
+    return;
+  }
 
-const ERROR_TYPES = {
-  NETWORK_ERROR: "network_error",
-  UNAUTHORIZED: "unauthorized",
-  RATE_LIMIT: "rate_limit",
-  SERVER_ERROR: "server_error",
-  TIMEOUT: "timeout",
-  INVALID_RESPONSE: "invalid_response",
-  CONTENT_EXTRACTION_FAILED: "content_extraction_failed",
-  UNKNOWN: "unknown",
-};
+  warningEl.textContent =
+    `This summary is estimated to cost up to ${UsageTracker.formatCost(costWarning.estimatedCost)}, ` +
+    `more than your warning threshold of ${UsageTracker.formatCost(costWarning.threshold)}.`;
+  warningEl.classList.remove("hidden");
+}
 
 // ============================================================================
-// TOKEN LIMIT CONFIGURATION
+// RETRY STATUS
 // ============================================================================
 
-/**
- * Token limits for each AI provider (in tokens)
- * These are conservative limits to ensure safe operation
- */
-const TOKEN_LIMITS = {
-  openai: {
-    maxTokens: 128000,    // GPT-4o-mini context window
-    safeLimit: 100000,    // Conservative limit for safety
-    charsPerToken: 4,     // Approximate chars per token
-  },
-  gemini: {
-    maxTokens: 1048576,   // Gemini 2.5 Flash context window
-    safeLimit: 800000,    // Conservative limit
-    charsPerToken: 4,
-  },
-  claude: {
-    maxTokens: 200000,    // Claude Sonnet context window
-    safeLimit: 150000,    // Conservative limit
-    charsPerToken: 4,
-  },
-};
-
-/**
- * Maximum content length to extract (increased from 12000)
- * This allows for larger pages while still being manageable
- */
-const MAX_CONTENT_LENGTH = 400000;
-
-
-/**
- * User-friendly error messages (no technical jargon or raw API errors)
- */
-const USER_MESSAGES = {
-  network_error: "🌐 Network error: Please check your internet connection.",
-  unauthorized:
-    "🔑 Invalid API key. Please update your API key in the extension settings.",
-  forbidden:
-    "🚫 Request blocked by the AI provider. Check provider requirements and account permissions.",
-  bad_request:
-    "⚠️ Request rejected by AI service. Check model name, account access, or request format.",
-  rate_limit:
-    "⏱️ Rate limited: Too many requests. Please try again in a few moments.",
-  server_error:
-    "🔧 AI service temporarily unavailable. Please try again later.",
-  timeout: "⏳ Request timed out. Please try again.",
-  invalid_response: "⚠️ Unexpected response from AI service. Please try again.",
-  content_extraction_failed:
-    "Could not extract content from this page. Try a different page.",
-  unknown: "❌ An unexpected error occurred. Please try again.",
-};
-
-/**
- * Classify errors into types and return user-friendly message + debug info
- * @param {Error} error - The caught error
- * @param {number} httpStatus - HTTP status code (if available)
- * @returns {Object} {type, userMessage, debugInfo}
- */
-function classifyError(error, httpStatus = null) {
-  const errorMessage = (error?.message || "").toLowerCase();
-
-  if (
-    errorMessage.includes("dangerous-direct-browser-access") ||
-    errorMessage.includes("browser")
-  ) {
-    return {
-      type: ERROR_TYPES.UNAUTHORIZED,
-      userMessage:
-        "⚠️ Claude browser request blocked. The extension must send Anthropic's browser-access header.",
-      debugInfo: error?.message || "Browser access restriction",
-    };
-  }
-
-  // Network/fetch errors (TypeError)
-  if (error instanceof TypeError) {
-    if (
-      error.message.includes("Failed to fetch") ||
-      error.message.includes("fetch")
-    ) {
-      return {
-        type: ERROR_TYPES.NETWORK_ERROR,
-        userMessage: USER_MESSAGES.network_error,
-        debugInfo: error.message,
-      };
-    }
-  }
+// Countdown timers of the retry status elements currently shown
+const retryCountdowns = new Map();
 
-  // Timeout (AbortError)
-  if (error?.name === "AbortError") {
-    return {
-      type: ERROR_TYPES.TIMEOUT,
-      userMessage: USER_MESSAGES.timeout,
-      debugInfo: "Request aborted due to timeout",
-    };
-  }
+/**
+ * Show (with a live countdown) or hide the status of an automatic retry
+ * @param {Object|null} retry - Retry details from runProviderRequest(), or null once it has started
+ * @param {HTMLElement} [el] - Status element
+ */
+function showRetryStatus(retry, el = $("retry-status")) {
+  clearInterval(retryCountdowns.get(el));
+  retryCountdowns.delete(el);
 
-  // HTTP status errors
-  if (httpStatus) {
-    if (httpStatus === 400) {
-      return {
-        type: ERROR_TYPES.INVALID_RESPONSE,
-        userMessage: USER_MESSAGES.bad_request,
-        debugInfo: `HTTP 400: Bad request`,
-      };
-    }
-    if (httpStatus === 401) {
-      return {
-        type: ERROR_TYPES.UNAUTHORIZED,
-        userMessage: USER_MESSAGES.unauthorized,
-        debugInfo: `HTTP ${httpStatus}: Unauthorized / Bad API key`,
-      };
-    }
-    if (httpStatus === 403) {
-      return {
-        type: ERROR_TYPES.UNAUTHORIZED,
-        userMessage: USER_MESSAGES.forbidden,
-        debugInfo: `HTTP 403: Forbidden`,
-      };
-    }
-    if (httpStatus === 429) {
-      return {
-        type: ERROR_TYPES.RATE_LIMIT,
-        userMessage: USER_MESSAGES.rate_limit,
-        debugInfo: `HTTP 429: Rate limit exceeded`,
-      };
-    }
-    if (httpStatus === 404) {
-      return {
-        type: ERROR_TYPES.UNKNOWN,
-        userMessage: "🔍 AI model not found. The selected model may not be available for your API key.",
-        debugInfo: `HTTP 404: Model not found`,
-      };
-    }
-    if (httpStatus >= 500) {
-      return {
-        type: ERROR_TYPES.SERVER_ERROR,
-        userMessage: USER_MESSAGES.server_error,
-        debugInfo: `HTTP ${httpStatus}: Server error`,
-      };
-    }
+  if (!retry) {
+    el.classList.add("hidden");
+    return;
   }
 
-  // Unknown errors
-  return {
-    type: ERROR_TYPES.UNKNOWN,
-    userMessage: USER_MESSAGES.unknown,
-    debugInfo: error?.message || "Unknown error occurred",
-  };
+  const update = () => (el.textContent = formatRetryStatus(retry));
+  update();
+  retryCountdowns.set(el, setInterval(update, 1000));
+  el.classList.remove("hidden");
 }
 
+
 async function init() {
   // Load saved provider and API keys
   const stored = await chrome.storage.local.get([
     "ai_provider",
-    "openai_api_key",
-    "gemini_api_key",
-    "claude_api_key",
     "theme",
     "exclude_code_blocks",
+    "stream_summaries",
+    "chunk_long_pages",
+    "output_language",
+    "open_in_side_panel",
+    "summary_type",
   ]);
 
 
@@ -454,16 +352,8 @@ async function init() {
   const currentProvider = stored.ai_provider || "openai";
   $("ai-provider").value = currentProvider;
 
-  // Load saved API keys
-  if (stored.openai_api_key) {
-    $("openai-api-key").value = stored.openai_api_key;
-  }
-  if (stored.gemini_api_key) {
-    $("gemini-api-key").value = stored.gemini_api_key;
-  }
-  if (stored.claude_api_key) {
-    $("claude-api-key").value = stored.claude_api_key;
-  }
+  // Load saved API keys (unless they are locked in the key vault)
+  await loadApiKeyInputs();
 
   // Load and apply saved theme (default to dark)
   const savedTheme = stored.theme || "dark";
@@ -472,16 +362,25 @@ async function init() {
   // Load exclude code blocks preference
   $("exclude-code-blocks").checked = stored.exclude_code_blocks || false;
 
+  // Load streaming preference (default to on)
+  $("stream-summaries").checked = stored.stream_summaries !== false;
+
+  // Load chunked summarization preference (default to on)
+  $("chunk-long-pages").checked = stored.chunk_long_pages !== false;
+
+  // Load where the keyboard shortcut and context menu open (default to the popup)
+  $("open-in-side-panel").checked = stored.open_in_side_panel || false;
+
+  // Load output language preference (default to the page's own language)
+  $("output-language").value = stored.output_language || "same";
+  updateTranslateButton();
+
   // Show the correct API key input group
   updateProviderUI(currentProvider);
 
 
   // Display key status if any key is saved
-  const currentKey = stored[`${currentProvider}_api_key`];
-  if (currentKey) {
-    $("key-status").textContent = "✓ API key saved";
-    $("key-status").style.color = "#4ade80";
-  }
+  await updateKeyStatus(currentProvider);
 
   // Update button state based on API key presence
   updateSummarizeButtonState(currentProvider);
@@ -491,11 +390,14 @@ async function init() {
   $("save-openai-key").addEventListener("click", () => saveApiKey("openai"));
   $("save-gemini-key").addEventListener("click", () => saveApiKey("gemini"));
   $("save-claude-key").addEventListener("click", () => saveApiKey("claude"));
+  $("save-custom-endpoint").addEventListener("click", saveCustomEndpoint);
   
   // Password toggle event listeners
   initPasswordToggles();
   
-  $("summarize-btn").addEventListener("click", summarizePage);
+  $("summarize-btn").addEventListener("click", () => summarizePage());
+  $("summarize-selection-btn").addEventListener("click", () => summarizePage({ source: "selection" }));
+  $("summarize-tabs-btn").addEventListener("click", () => summarizePage({ source: "tabs" }));
   $("copy-md-btn").addEventListener("click", copyAsMarkdown);
   $("copy-plain-btn").addEventListener("click", copyAsPlainText);
   $("download-md-btn").addEventListener("click", downloadAsMarkdown);
@@ -505,15 +407,121 @@ async function init() {
   $("scroll-to-bottom").addEventListener("click", scrollToBottom);
   $("theme-toggle").addEventListener("click", toggleTheme);
   $("retry-btn").addEventListener("click", retrySummarize);
+  $("exclude-code-blocks").addEventListener("change", (e) =>
+    chrome.storage.local.set({ exclude_code_blocks: e.target.checked }),
+  );
+  $("stream-summaries").addEventListener("change", (e) =>
+    chrome.storage.local.set({ stream_summaries: e.target.checked }),
+  );
+  $("chunk-long-pages").addEventListener("change", (e) =>
+    chrome.storage.local.set({ chunk_long_pages: e.target.checked }),
+  );
+  $("open-in-side-panel").addEventListener("change", (e) =>
+    chrome.storage.local.set({ open_in_side_panel: e.target.checked }),
+  );
+  $("open-side-panel-btn").addEventListener("click", openSidePanel);
+  $("output-language").addEventListener("change", async (e) => {
+    await chrome.storage.local.set({ output_language: e.target.value });
+    updateTranslateButton();
+  });
+  $("translate-btn").addEventListener("click", translateSummary);
+  $("chat-form").addEventListener("submit", askFollowUp);
+  $("chat-input").addEventListener("keydown", (e) => {
+    // Enter sends, Shift+Enter inserts a newline
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      $("chat-form").requestSubmit();
+    }
+  });
+
+  // Load summary types into the select and settings list, with the last used type selected
+  await loadSummaryTypes();
+  if (summaryTypes.some((t) => t.id === stored.summary_type)) {
+    $("summary-type").value = stored.summary_type;
+  }
+  $("summary-type").addEventListener("change", (e) =>
+    chrome.storage.local.set({ summary_type: e.target.value }),
+  );
+  $("add-summary-type").addEventListener("click", () => openSummaryTypeEditor(null));
+  $("save-summary-type").addEventListener("click", saveSummaryTypeFromEditor);
+  $("cancel-summary-type").addEventListener("click", closeSummaryTypeEditor);
+  $("reset-summary-types").addEventListener("click", resetSummaryTypes);
+
+  // Load the last key checks
+  await renderKeyChecks();
+  $("verify-keys-btn").addEventListener("click", verifyAllKeys);
+
+  // Load the key vault state, and follow it locking or unlocking elsewhere (e.g. the other view)
+  await renderVaultSettings();
+  $("vault-unlock").addEventListener("submit", unlockVault);
+  $("enable-vault-btn").addEventListener("click", enableVault);
+  $("disable-vault-btn").addEventListener("click", disableVault);
+  $("lock-vault-btn").addEventListener("click", lockVault);
+  $("reset-vault-btn").addEventListener("click", resetVault);
+  $("vault-lock-minutes").addEventListener("change", (e) =>
+    KeyVault.saveLockMinutes(Math.max(0, Math.round(Number(e.target.value) || 0))),
+  );
+  chrome.storage.session.onChanged.addListener((changes) => {
+    if (changes[KeyVault.sessionKey]) refreshKeyState();
+  });
+
+  // Load summary cache limits
+  await loadCacheSettings();
+  $("cache-ttl-hours").addEventListener("change", saveCacheSettings);
+  $("cache-max-entries").addEventListener("change", saveCacheSettings);
+  $("clear-cache-btn").addEventListener("click", clearSummaryCache);
+
+  // Backups are made on the history page, where choosing a file doesn't close the popup
+  $("open-backup-btn").addEventListener("click", () =>
+    chrome.tabs.create({ url: chrome.runtime.getURL("history.html?backup") }),
+  );
+
+  // Load the provider fallback order
+  await loadFallbackSettings();
+
+  // Load each provider's model settings and the custom endpoint, and follow changes made in the other view
+  await Promise.all([renderModelSettings(), loadCustomEndpoint()]);
+  chrome.storage.local.onChanged.addListener((changes) => {
+    if (changes[ProviderSettings.storageKey] || changes[ProviderSettings.modelListKey]) {
+      renderModelSettings();
+      loadCustomEndpoint();
+      updateSummarizeButtonState($("ai-provider").value);
+    }
+  });
+
+  // Load spending budgets, and keep their spend current while summaries run
+  await loadBudgetSettings();
+  $("cost-warning-threshold").addEventListener("change", (e) =>
+    chrome.storage.local.set({ [Budgets.warningKey]: Math.max(0, Number(e.target.value) || 0) }),
+  );
+  chrome.storage.local.onChanged.addListener((changes) => {
+    if (changes[Budgets.spendKey]) renderBudgetList();
+  });
+  $("regenerate-btn").addEventListener("click", () => summarizePage({ bypassCache: true }));
 
-  // Load history on startup
+  // Load history on startup (moving any pre-IndexedDB history over first)
+  $("view-all-history-btn").addEventListener("click", () => openHistoryPage());
+  $("usage-dashboard-btn").addEventListener("click", () =>
+    chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") }),
+  );
+  try {
+    await HistoryStore.migrateLegacyHistory();
+  } catch (err) {
+    console.error("Failed to migrate history:", err);
+  }
   loadHistory();
 
-  // Auto-click summarize button if opened via keyboard shortcut
-  const shortcutData = await chrome.storage.session.get(['autoSummarize']);
-  if (shortcutData.autoSummarize) {
-    await chrome.storage.session.remove(['autoSummarize']);
-    setTimeout(() => $("summarize-btn")?.click(), 100);
+  // Follow summary jobs, including ones started by the shortcut or context menu
+  ensureJobPort();
+  chrome.storage.session.onChanged.addListener(handleJobStorageChange);
+
+  // Follow the active tab when running as the side panel
+  if (IS_SIDE_PANEL) {
+    await initSidePanel();
+  } else {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    viewTabId = tab?.id ?? null;
+    await attachToTabJob(viewTabId);
   }
 }
 
@@ -555,17 +563,11 @@ async function handleProviderChange() {
   updateProviderUI(provider);
 
   // Update key status based on selected provider
-  const stored = await chrome.storage.local.get([`${provider}_api_key`]);
-  const currentKey = stored[`${provider}_api_key`];
-  if (currentKey) {
-    $("key-status").textContent = "✓ API key saved";
-    $("key-status").style.color = "#4ade80";
-  } else {
-    $("key-status").textContent = "";
-  }
+  await updateKeyStatus(provider);
 
   // Update summarize button state based on API key presence
   updateSummarizeButtonState(provider);
+  renderFallbackList();
 }
 
 /**
@@ -576,6 +578,7 @@ function updateProviderUI(provider) {
   $("openai-key-group").classList.add("hidden");
   $("gemini-key-group").classList.add("hidden");
   $("claude-key-group").classList.add("hidden");
+  $("custom-key-group").classList.add("hidden");
 
   // Show the selected provider's API key group
   const targetGroup = $(`${provider}-key-group`);
@@ -585,18 +588,26 @@ function updateProviderUI(provider) {
 }
 
 async function updateSummarizeButtonState(provider) {
-  const stored = await chrome.storage.local.get([`${provider}_api_key`]);
-  const apiKey = stored[`${provider}_api_key`];
+  // A locked key still counts: summarizing asks for the passphrase
+  const hasKey = (await KeyVault.listSavedKeys()).includes(provider);
+  // A custom endpoint needs a model name rather than a key
+  const keyOptional = isApiKeyOptional(provider);
+  const ready = keyOptional ? Boolean((await ProviderSettings.get(provider)).model) : hasKey;
   const helperEl = $("api-key-helper");
   const btnEl = $("summarize-btn");
 
-  if (apiKey) {
+  helperEl.textContent = keyOptional
+    ? "⚙️ Enter the endpoint's base URL and model, then save it"
+    : "🔑 Please add your API key";
+  if (ready) {
     btnEl.disabled = false;
     helperEl.classList.add("hidden");
   } else {
     btnEl.disabled = true;
     helperEl.classList.remove("hidden");
   }
+  $("summarize-selection-btn").disabled = btnEl.disabled;
+  $("summarize-tabs-btn").disabled = btnEl.disabled;
 }
 
 async function saveApiKey(provider) {
@@ -606,212 +617,108 @@ async function saveApiKey(provider) {
     $("key-status").style.color = "#f87171";
     return;
   }
-  await chrome.storage.local.set({ [`${provider}_api_key`]: key });
-  $("key-status").textContent = "✓ API key saved";
-  $("key-status").style.color = "#4ade80";
+  if (await KeyVault.isLocked()) {
+    promptVaultUnlock(() => saveApiKey(provider));
+    return;
+  }
+
+  // Check the key before it replaces one that may be working
+  const saveBtn = $(`save-${provider}-key`);
+  $("key-status").textContent = "Checking API key...";
+  $("key-status").style.color = "#888";
+  saveBtn.disabled = true;
+  const check = await verifyApiKey(provider, key);
+  saveBtn.disabled = false;
+
+  if (check.status === KEY_CHECK_STATUS.INVALID) {
+    $("key-status").textContent = `✗ Invalid API key, not saved${check.detail ? ` (${check.detail})` : ""}`;
+    $("key-status").style.color = "#f87171";
+    return;
+  }
+
+  await KeyVault.saveKey(provider, key);
+  await saveKeyCheck(provider, check);
+  await updateKeyStatus(provider);
+  renderKeyChecks();
 
   // Update summarize button state based on API key presence
   updateSummarizeButtonState(provider);
+  renderFallbackList();
 }
 
-async function summarizePage() {
+/**
+ * Summarize the tab on screen in a background job, served from the summary cache when possible
+ * @param {Object} [options]
+ * @param {boolean} [options.bypassCache] - Always call the provider (the "Regenerate" action)
+ * @param {string} [options.source] - "page" for the main content, "selection" for the selected text only,
+ *   "tabs" for a digest of every tab in the window
+ */
+async function summarizePage({ bypassCache = false, source = "page" } = {}) {
   summary = null;
-  lastSummarizeContext = null;
-  const stored = await chrome.storage.local.get([
-    "ai_provider",
-    "openai_api_key",
-    "gemini_api_key",
-    "claude_api_key",
-  ]);
+  lastSummarizeContext = { bypassCache, source };
 
-  const provider = stored.ai_provider || "openai";
-  const apiKey = stored[`${provider}_api_key`];
+  // PDFs are downloaded by the extension, which needs site access to do so
+  const tab = viewTabId !== null ? await chrome.tabs.get(viewTabId).catch(() => null) : null;
+  if (IS_SIDE_PANEL || source === "tabs" || isPdfUrl(tab?.url)) {
+    await ensureHostAccess();
+  }
+  // A custom endpoint can only be reached once its host has been granted
+  if ($("ai-provider").value === "custom") {
+    await CustomProvider.ensureAccess((await ProviderSettings.get("custom")).baseUrl);
+  }
 
-  if (!apiKey) {
-    showError("🔑 Please save your API key first.");
+  // Encrypted keys have to be unlocked before the service worker can use them; keyless providers run without
+  const providers = await loadProviderChain();
+  const [{ provider: primary, apiKey }] = providers;
+  if ((await needsApiKey(primary, apiKey)) && (await KeyVault.isLocked())) {
+    promptVaultUnlock(() => summarizePage({ bypassCache, source }));
+    return;
+  }
+
+  // Hard cap: don't start a summary when every provider that could write it is over budget
+  const budgets = await Promise.all(providers.map(({ provider }) => Budgets.getStatus(provider)));
+  if (budgets.every((status) => status.exhausted)) {
+    hideRetryButton();
+    showError(Budgets.describeExhausted(budgets[0]));
     return;
   }
 
   setLoading(true);
   hideError();
   hideRetryButton();
+  endChatSession();
+  hideCacheNotice();
+  hideProviderNotice();
+  hidePageNotices();
   $("result-container").classList.add("hidden");
 
-  // Hoist these so they're accessible throughout the full try block
-  let pageContent;
-  let extractedImages = [];
-  let tab;
-
   try {
-    try {
-      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-      // Guard: Chrome blocks content scripts on internal/restricted pages
-      const restrictedPrefixes = ["chrome://", "chrome-extension://", "about:", "edge://", "file://"];
-      if (restrictedPrefixes.some((prefix) => tab.url?.startsWith(prefix))) {
-        setLoading(false);
-        showError("🚫 Cannot summarize this page. Please open a website (e.g. a blog or docs page) and try again.");
-        return;
-      }
-
-const [{ result: extractedContent }] =
-  await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: extractPageContent,
-    args: [Math.min(
-      MAX_CONTENT_LENGTH,
-      (TOKEN_LIMITS[provider] || TOKEN_LIMITS.openai).safeLimit *
-        (TOKEN_LIMITS[provider] || TOKEN_LIMITS.openai).charsPerToken
-    )],
-  });
-      pageContent = extractedContent.text;
-      extractedImages = extractedContent.images || [];
-
-      // Check if code blocks should be excluded
-      const excludeCodeBlocks = $("exclude-code-blocks").checked;
-      if (excludeCodeBlocks) {
-        pageContent = stripCodeBlocks(pageContent);
-      }
-
-      // Display content word count and reading time
-      updateContentStats(pageContent);
-
-      // Check content limits and show warnings if needed
-      let trimmedContent = pageContent;
-      const limitCheck = checkContentLimit(trimmedContent, provider);
-
-      if (limitCheck.isOverLimit) {
-        // Show warning before trimming
-        showLimitWarning(limitCheck.estimatedTokens, limitCheck.safeLimit);
-
-        // Calculate safe character limit
-        const safeCharLimit = limitCheck.safeLimit * limitCheck.charsPerToken;
-
-        // Trim content intelligently if it exceeds safe limit
-        if (trimmedContent.length > safeCharLimit) {
-          const originalLength = trimmedContent.length;
-          trimmedContent = trimContent(trimmedContent, safeCharLimit);
-
-          // Show trim notice
-          showTrimNotice(originalLength, trimmedContent.length);
-
-          // Update stats display with trimmed content
-          updateContentStats(trimmedContent);
-        }
-      } else {
-        // Hide any previous warnings
-        hideLimitWarnings();
-      }
-
-      pageContent = trimmedContent;
-
-
-      // Show image indicator
-      const providerObj = {
-        openai: window.OpenAIProvider,
-        gemini: window.GeminiProvider,
-        claude: window.ClaudeProvider,
-      }[provider];
-      const imgIndicator = $("image-indicator");
-      if (extractedImages.length > 0 && providerObj?.supportsMultimodal) {
-        imgIndicator.textContent = `🖼️ ${extractedImages.length} image${extractedImages.length > 1 ? "s" : ""} detected — included in summary`;
-        imgIndicator.className = "image-indicator img-found";
-      } else if (extractedImages.length > 0) {
-        imgIndicator.textContent = `🖼️ ${extractedImages.length} image${extractedImages.length > 1 ? "s" : ""} detected — not supported by this provider`;
-        imgIndicator.className = "image-indicator img-skipped";
-      } else {
-        imgIndicator.textContent = "";
-        imgIndicator.className = "image-indicator";
-      }
-    } catch (extractErr) {
-      console.error("[Content Extraction Error]", extractErr);
-      throw {
-        type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
-        userMessage: USER_MESSAGES.content_extraction_failed,
-        debugInfo: `Content extraction failed: ${extractErr?.message || "Unknown error"}`,
-      };
-    }
-
-    // Validate extracted content
-    if (!pageContent || pageContent.length < 100) {
-      throw {
-        type: ERROR_TYPES.CONTENT_EXTRACTION_FAILED,
-        userMessage: USER_MESSAGES.content_extraction_failed,
-        debugInfo: `Extracted content too short: ${pageContent?.length || 0} characters (minimum 100 required)`,
-      };
-    }
-
-    const summaryType = $("summary-type").value;
-
-    // Store validated context for retry
-    lastSummarizeContext = {
-      provider,
-      apiKey,
-      pageContent,
-      summaryType,
-      title: tab.title,
-      url: tab.url,
-      extractedImages,
-    };
-
-    summary = await generateSummary(
-      provider,
-      apiKey,
-      pageContent,
-      summaryType,
-      tab.title,
-      extractedImages,
-    );
-
-    // Convert Markdown to raw HTML
-    const rawHTML = marked.parse(summary);
-
-    // Sanitize the raw HTML to strip out any malicious scripts or invalid tags
-    const cleanHTML = DOMPurify.sanitize(rawHTML);
-
-    // Safely inject sanitized HTML into the UI
-    $("summary-result").innerHTML = cleanHTML;
-    $("result-container").classList.remove("hidden");
-
-    // Auto-scroll to top of result after generation
-    scrollToTop();
-
-    // Display summary word count and reading time
-    updateSummaryStats(summary);
-
-    // Save to history
-    saveSummary(summary, tab.title, tab.url, summaryType);
+    ensureJobPort();
+    const response = await chrome.runtime.sendMessage({
+      type: "submit-job",
+      request: {
+        tabId: viewTabId,
+        source,
+        bypassCache,
+        summaryType: $("summary-type").value,
+        outputLanguage: $("output-language").value,
+        excludeCodeBlocks: $("exclude-code-blocks").checked,
+        chunkLongPages: $("chunk-long-pages").checked,
+        stream: $("stream-summaries").checked,
+      },
+    });
+    if (response?.error) throw new Error(response.error);
 
-    // Refresh history list
-    loadHistory();
+    handleJobUpdate(response.job);
   } catch (err) {
-    // Check if error is already a structured error object from generateSummary()
-    if (err && typeof err === "object" && err.type && err.userMessage) {
-      // Already classified, use directly
-      showError(err.userMessage);
-      if (lastSummarizeContext !== null) {
-        showRetryButton();
-      }
-      console.error("[Generate Summary Error]", {
-        type: err.type,
-        debugInfo: err.debugInfo,
-        userMessage: err.userMessage,
-      });
-    } else {
-      // New error (from content extraction, validation, etc.), classify it once
-      const errorInfo = classifyError(err, null);
-      showError(errorInfo.userMessage);
-      if (lastSummarizeContext !== null) {
-        showRetryButton();
-      }
-      console.error("[Generate Summary Error]", {
-        type: errorInfo.type,
-        debugInfo: errorInfo.debugInfo,
-        originalMessage: err?.message,
-      });
-    }
-  } finally {
+    const errorInfo = classifyError(err, null);
     setLoading(false);
+    showError(errorInfo.userMessage);
+    console.error("[Submit Job Error]", {
+      type: errorInfo.type,
+      debugInfo: errorInfo.debugInfo,
+      originalMessage: err?.message,
+    });
   }
 }
 
@@ -825,226 +732,74 @@ async function retrySummarize() {
     return;
   }
 
-  const { provider, apiKey, pageContent, summaryType, title, url, extractedImages } = lastSummarizeContext;
-
-  if (!pageContent || pageContent.length < 100) {
-    showError(USER_MESSAGES.content_extraction_failed);
-    hideRetryButton();
-    return;
-  }
-
-  $("retry-btn").disabled = true;
-  setLoading(true);
-  hideError();
-  hideRetryButton();
-  $("result-container").classList.add("hidden");
-
-  try {
-    summary = await generateSummary(
-      provider,
-      apiKey,
-      pageContent,
-      summaryType,
-      title,
-      extractedImages,
-      url,
-    );
-
-    // Convert Markdown to raw HTML
-    const rawHTML = marked.parse(summary);
-
-    // Sanitize the raw HTML to strip out any malicious scripts or invalid tags
-    const cleanHTML = DOMPurify.sanitize(rawHTML);
-
-    // Safely inject sanitized HTML into the UI
-    $("summary-result").innerHTML = cleanHTML;
-    $("result-container").classList.remove("hidden");
-
-    // Display summary word count and reading time
-    updateSummaryStats(summary);
+  await summarizePage(lastSummarizeContext);
+}
 
-    // Save to history
-    saveSummary(summary, title, url || "", summaryType);
+/**
+ * Render Markdown into an element as sanitized HTML
+ * @param {HTMLElement} el - Target element
+ * @param {string} markdown - Text in Markdown
+ */
+function renderMarkdown(el, markdown) {
+  // Convert Markdown to raw HTML
+  const rawHTML = marked.parse(markdown);
 
-    // Refresh history list
-    loadHistory();
-  } catch (err) {
-    // Check if error is already a structured error object from generateSummary()
-    if (err && typeof err === "object" && err.type && err.userMessage) {
-      // Already classified, use directly
-      showError(err.userMessage);
-      if (lastSummarizeContext !== null) {
-        showRetryButton();
-      }
-      console.error("[Generate Summary Error]", {
-        type: err.type,
-        debugInfo: err.debugInfo,
-        userMessage: err.userMessage,
-      });
-    } else {
-      // New error (from content extraction, validation, etc.), classify it once
-      const errorInfo = classifyError(err, null);
-      showError(errorInfo.userMessage);
-      if (lastSummarizeContext !== null) {
-        showRetryButton();
-      }
-      console.error("[Generate Summary Error]", {
-        type: errorInfo.type,
-        debugInfo: errorInfo.debugInfo,
-        originalMessage: err?.message,
-      });
-    }
-  } finally {
-    setLoading(false);
-    $("retry-btn").disabled = false;
-  }
-}
-
-function extractPageContent(maxLength) {
-  const selectors = [
-    "article",
-    "main",
-    ".post-content",
-    ".entry-content",
-    ".article-content",
-    ".content",
-    ".documentation",
-    ".markdown-body",
-    "#content",
-  ];
-
-  let content = "";
-  for (const sel of selectors) {
-    const el = document.querySelector(sel);
-    if (el) {
-      content = el.innerText;
-      break;
-    }
-  }
+  // Sanitize the raw HTML to strip out any malicious scripts or invalid tags
+  const cleanHTML = DOMPurify.sanitize(rawHTML);
 
-  if (!content) {
-    content = document.body.innerText;
-  }
+  // Safely inject sanitized HTML into the UI
+  el.innerHTML = cleanHTML;
+}
 
-  // Clean and truncate text
-  content = content.replace(/\s+/g, " ").trim();
+/**
+ * Render Markdown summary text into the result area as sanitized HTML
+ * @param {string} markdown - Summary text in Markdown
+ */
+function renderSummary(markdown) {
+  renderMarkdown($("summary-result"), markdown);
+  $("result-container").classList.remove("hidden");
+}
 
-  // Extract meaningful content images:
-  // - Prefer images within article/main content containers
-  // - Minimum 200x200px to filter out icons, avatars, and ads
-  // - HTTPS only, max 2 images to keep API payload manageable
-  const contentSelectors = ["article", "main", ".post-content", ".entry-content", ".markdown-body", "#content"];
-  let imgPool = [];
-  for (const sel of contentSelectors) {
-    const el = document.querySelector(sel);
-    if (el) {
-      imgPool = Array.from(el.querySelectorAll("img"));
-      break;
-    }
-  }
-  if (imgPool.length === 0) {
-    imgPool = Array.from(document.querySelectorAll("img"));
+/**
+ * Create a chunk handler that progressively renders a streamed response
+ * Renders at most once per animation frame to keep long streams smooth.
+ * Call `handler.cancel()` once the request settles to drop any pending frame.
+ * @param {HTMLElement} [target] - Element that shows the streaming caret
+ * @param {function(string): void} [render] - Renders the text received so far
+ * @returns {function(string): void|null} Chunk handler, or null when streaming is disabled
+ */
+function createStreamRenderer(target = $("summary-result"), render = renderSummary) {
+  if (!$("stream-summaries").checked) {
+    return null;
   }
 
-  const images = imgPool
-    .filter((img) => {
-      const src = img.src || "";
-      return (
-        src.startsWith("https://") &&
-        img.naturalWidth > 200 &&
-        img.naturalHeight > 200
-      );
-    })
-    .slice(0, 2)
-    .map((img) => ({ url: img.src, alt: img.alt || "" }));
+  let latestText = "";
+  let frameId = null;
 
-  // Return full content for client-side trimming based on provider limits
-  // The content will be intelligently trimmed in summarizePage() if needed
-  return { text: content.slice(0, maxLength), images };
+  const handler = (fullText) => {
+    latestText = fullText;
+    if (frameId !== null) return;
 
-}
+    frameId = requestAnimationFrame(() => {
+      frameId = null;
+      target.classList.add("streaming");
+      render(latestText);
+    });
+  };
 
-/**
- * Generate summary with comprehensive error handling, timeout, and proper validation
- * Routes to the appropriate AI provider
- * @throws {Error} Throws user-friendly error messages
- */
-async function generateSummary(provider, apiKey, content, type, title, images = []) {
-  // Get the appropriate provider
-  const providers = {
-    openai: window.OpenAIProvider,
-    gemini: window.GeminiProvider,
-    claude: window.ClaudeProvider,
+  handler.cancel = () => {
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
   };
 
-  const aiProvider = providers[provider];
-  if (!aiProvider) {
-    throw {
-      type: ERROR_TYPES.UNKNOWN,
-      userMessage: `Unknown AI provider: ${provider}`,
-      debugInfo: `Provider ${provider} not found`,
-    };
-  }
-
-  // Only pass images if provider supports multimodal
-  const imagesToPass = aiProvider.supportsMultimodal ? images : [];
-
-  // Setup timeout (30 seconds)
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-  try {
-    // Call the provider's generateSummary method
-    const result = await aiProvider.generateSummary(
-      apiKey,
-      content,
-      type,
-      title,
-      controller.signal,
-      imagesToPass,
-    );
-    return result;
-  } catch (error) {
-    // Handle timeout (AbortError)
-    if (error?.name === "AbortError") {
-      console.error("[Timeout Error]", "Request exceeded 30 second limit");
-      const errorInfo = classifyError(error, null);
-      throw errorInfo;
-    }
-
-    // Handle network errors (TypeError from fetch)
-    if (error instanceof TypeError) {
-      const errorInfo = classifyError(error, null);
-      console.error("[Network Error]", errorInfo.debugInfo);
-      throw errorInfo;
-    }
-
-    // Handle HTTP status errors from providers
-    if (error.httpStatus) {
-      const errorInfo = classifyError(
-        new Error(error.message || `HTTP ${error.httpStatus}`),
-        error.httpStatus,
-      );
-      // If the provider gave us a specific message, surface it to the user
-      if (error.message && errorInfo.type === ERROR_TYPES.UNKNOWN) {
-        errorInfo.userMessage = `❌ ${error.message}`;
-      }
-      console.error(`[Provider Error] HTTP ${error.httpStatus}: ${error.message || "(no message)"}`);
-      throw errorInfo;
-    }
-
-    // Handle other errors
-    const errorInfo = classifyError(error, null);
-    console.error("[Generation Error]", errorInfo);
-    throw errorInfo;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
+  return handler;
+}
 
 function setLoading(loading) {
   if (loading) {
     $("summarize-btn").disabled = true;
+    $("summarize-selection-btn").disabled = true;
+    $("summarize-tabs-btn").disabled = true;
   } else {
     const provider = $("ai-provider")?.value || "openai";
     updateSummarizeButtonState(provider);
@@ -1052,7 +807,7 @@ function setLoading(loading) {
   $("retry-btn").disabled = loading;
   $("btn-text").textContent = loading
     ? "Summarizing..."
-    : "Summarize This Page";
+    : IS_SIDE_PANEL ? "Summarize This Tab" : "Summarize This Page";
   $("loader").classList.toggle("hidden", !loading);
 }
 
@@ -1093,6 +848,10 @@ function hideRetryButton() {
 
 function clearSummary() {
   summary = null;
+  currentSummaryMeta = null;
+  endChatSession();
+  hideCacheNotice();
+  hideProviderNotice();
   $("summary-result").textContent = "";
   $("result-container").classList.add("hidden");
   hideError();
@@ -1148,14 +907,16 @@ async function downloadAsMarkdown() {
     const pageTitle = tab?.title || "Untitled Page";
     const pageUrl = tab?.url || "";
     const date = new Date().toISOString().split("T")[0];
-    const provider = (await chrome.storage.local.get(["ai_provider"])).ai_provider || "openai";
+    // Credit the provider that wrote the summary, which may be a fallback rather than the selected one
+    const provider = currentSummaryMeta?.provider || (await chrome.storage.local.get(["ai_provider"])).ai_provider || "openai";
+    const model = currentSummaryMeta?.model;
 
     const fileContent = [
       `# ${pageTitle}`,
       ``,
       `> **Source:** ${pageUrl}`,
       `> **Date:** ${date}`,
-      `> **Generated by:** ${provider.charAt(0).toUpperCase() + provider.slice(1)}`,
+      `> **Generated by:** ${PROVIDER_NAMES[provider] || provider}${model ? ` (${model})` : ""}`,
       ``,
       `---`,
       ``,
@@ -1185,38 +946,33 @@ async function downloadAsMarkdown() {
   }
 }
 
-async function saveSummary(text, title, url, type) {
-  try {
-    const newSummary = {
-      id: Date.now().toString(),
-      text,
-      title: title || "Untitled Page",
-      url: url || "",
-      type,
-      date: new Date().toISOString()
-    };
-
-    const data = await chrome.storage.local.get(["summary_history"]);
-    let history = data.summary_history || [];
 
-    // Add new summary to the beginning
-    history.unshift(newSummary);
-
-    // Keep only last 10 items
-    if (history.length > 10) {
-      history = history.slice(0, 10);
-    }
+/**
+ * Store a follow-up conversation (and the page content it needs) on its history entry
+ * @param {Object} session - Chat session with historyId, pageContent and messages
+ */
+async function saveConversation(session) {
+  if (!session.historyId) return;
 
-    await chrome.storage.local.set({ summary_history: history });
+  try {
+    // The entry may have been deleted from the history page meanwhile
+    const updated = await HistoryStore.update(session.historyId, {
+      conversation: session.messages,
+      pageContent: session.pageContent,
+    });
+    if (updated) loadHistory();
   } catch (err) {
-    console.error("Failed to save summary:", err);
+    console.error("Failed to save conversation:", err);
   }
 }
 
+/**
+ * Load the most recent summaries into the popup's "Recent Summaries" list
+ * The full history lives on the history page (history.html)
+ */
 async function loadHistory() {
   try {
-    const data = await chrome.storage.local.get(["summary_history"]);
-    const history = data.summary_history || [];
+    const history = await HistoryStore.getRecent(RECENT_HISTORY_LIMIT);
     renderHistory(history);
   } catch (err) {
     console.error("Failed to load history:", err);
@@ -1248,7 +1004,18 @@ function renderHistory(historyItems) {
     dateSpan.textContent = date;
 
     const typeSpan = document.createElement("span");
-    typeSpan.textContent = item.type || "summary";
+    typeSpan.textContent =
+      summaryTypes.find((t) => t.id === item.type)?.name.replace(/\s*\(.*\)$/, "") || item.type || "summary";
+    if (item.language) {
+      typeSpan.textContent += ` · ${item.language}`;
+    }
+    if (item.source === "selection") {
+      typeSpan.textContent += " · selection";
+    } else if (item.source === "tabs") {
+      typeSpan.textContent += " · tab digest";
+    } else if (item.source === "pdf") {
+      typeSpan.textContent += " · PDF";
+    }
 
     meta.appendChild(dateSpan);
     meta.appendChild(typeSpan);
@@ -1272,7 +1039,25 @@ function renderHistory(historyItems) {
     copyBtn.type = "button";
     copyBtn.textContent = "Copy";
 
+    const openBtn = document.createElement("button");
+    openBtn.className = "btn-small";
+    openBtn.type = "button";
+    openBtn.textContent = "Open";
+    openBtn.addEventListener("click", () => openHistoryPage(item.id));
+
+    actions.appendChild(openBtn);
     actions.appendChild(copyBtn);
+
+    // Conversations can only be resumed when the page content was stored with them
+    if (item.pageContent) {
+      const chatBtn = document.createElement("button");
+      chatBtn.className = "btn-small chat-btn";
+      chatBtn.type = "button";
+      chatBtn.textContent = `💬 Resume chat (${item.conversation?.length || 0})`;
+      chatBtn.addEventListener("click", () => resumeChat(item));
+      actions.appendChild(chatBtn);
+    }
+
     div.appendChild(meta);
     div.appendChild(title);
     div.appendChild(preview);
@@ -1291,13 +1076,1733 @@ function renderHistory(historyItems) {
   });
 }
 
+/**
+ * Open the history manager page, optionally focused on one entry
+ * @param {string} [id] - History entry id to show
+ */
+function openHistoryPage(id = "") {
+  const url = chrome.runtime.getURL("history.html") + (id ? `#${encodeURIComponent(id)}` : "");
+  chrome.tabs.create({ url });
+}
+
 async function clearHistory() {
   if (confirm("Are you sure you want to clear your summary history?")) {
-    await chrome.storage.local.remove("summary_history");
+    await HistoryStore.clear();
     renderHistory([]);
   }
 }
 
+// ============================================================================
+// SUMMARY CACHE
+// ============================================================================
+
+/**
+ * Load the cache limits into the settings panel
+ */
+async function loadCacheSettings() {
+  const { ttlHours, maxEntries } = await SummaryCache.getSettings();
+  $("cache-ttl-hours").value = ttlHours;
+  $("cache-max-entries").value = maxEntries;
+  updateCacheStatus();
+}
+
+async function saveCacheSettings() {
+  const ttlHours = Math.max(0, Number($("cache-ttl-hours").value) || 0);
+  const maxEntries = Math.max(0, Math.floor(Number($("cache-max-entries").value) || 0));
+  $("cache-ttl-hours").value = ttlHours;
+  $("cache-max-entries").value = maxEntries;
+
+  await chrome.storage.local.set({ cache_ttl_hours: ttlHours, cache_max_entries: maxEntries });
+  updateCacheStatus();
+}
+
+async function updateCacheStatus() {
+  const { ttlHours, maxEntries } = await SummaryCache.getSettings();
+  if (ttlHours <= 0 || maxEntries <= 0) {
+    $("cache-status").textContent = "Caching is off";
+    return;
+  }
+
+  const count = await SummaryCache.count();
+  $("cache-status").textContent = `${count} cached summar${count === 1 ? "y" : "ies"}`;
+}
+
+async function clearSummaryCache() {
+  await SummaryCache.clear();
+  hideCacheNotice();
+  updateCacheStatus();
+}
+
+/**
+ * Show the "cached — regenerate?" indicator above the summary
+ * @param {number} cachedAt - When the summary was generated (ms since epoch)
+ */
+function showCacheNotice(cachedAt) {
+  $("cache-notice-text").textContent = `⚡ Cached summary from ${new Date(cachedAt).toLocaleString()}`;
+  $("cache-notice").classList.remove("hidden");
+}
+
+function hideCacheNotice() {
+  $("cache-notice").classList.add("hidden");
+}
+
+// ============================================================================
+// PROVIDER FALLBACK
+// ============================================================================
+
+// Fallback order of every provider, as saved in fallback_providers
+let fallbackProviders = [];
+
+/**
+ * Load the fallback order and render it in settings
+ */
+async function loadFallbackSettings() {
+  const { fallback_providers } = await chrome.storage.local.get(["fallback_providers"]);
+  fallbackProviders = normalizeFallbackProviders(fallback_providers);
+  await renderFallbackList();
+}
+
+/**
+ * Render the fallback providers (every provider but the selected one) with their toggles and order
+ */
+async function renderFallbackList() {
+  const primary = $("ai-provider").value;
+  const entries = fallbackProviders.filter(({ id }) => id !== primary);
+  const savedKeys = await KeyVault.listSavedKeys();
+
+  const list = $("fallback-list");
+  list.textContent = "";
+
+  entries.forEach((entry, index) => {
+    const row = document.createElement("div");
+    row.className = "fallback-row";
+
+    const name = document.createElement("label");
+    name.className = "fallback-name";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = entry.enabled;
+    checkbox.addEventListener("change", () => saveFallbackProviders(
+      fallbackProviders.map((e) => (e.id === entry.id ? { ...e, enabled: checkbox.checked } : e)),
+    ));
+
+    name.appendChild(checkbox);
+    name.append(PROVIDER_NAMES[entry.id]);
+    if (!savedKeys.includes(entry.id) && !isApiKeyOptional(entry.id)) {
+      const missing = document.createElement("span");
+      missing.className = "fallback-key-missing";
+      missing.textContent = "no API key";
+      name.appendChild(missing);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "summary-type-actions";
+
+    const addButton = (label, title, delta, disabled) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn-small";
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.addEventListener("click", () => {
+        const reordered = [...entries];
+        [reordered[index], reordered[index + delta]] = [reordered[index + delta], reordered[index]];
+        saveFallbackProviders([...reordered, ...fallbackProviders.filter(({ id }) => id === primary)]);
+      });
+      actions.appendChild(btn);
+    };
+
+    addButton("↑", "Try earlier", -1, index === 0);
+    addButton("↓", "Try later", 1, index === entries.length - 1);
+
+    row.appendChild(name);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Save a new fallback order and refresh the list
+ * @param {Array<{id: string, enabled: boolean}>} providers - Every provider, in fallback order
+ */
+async function saveFallbackProviders(providers) {
+  fallbackProviders = providers;
+  await chrome.storage.local.set({ fallback_providers: providers });
+  await renderFallbackList();
+}
+
+/**
+ * Show which provider produced the summary when the selected one failed
+ * @param {Object} result - Job result ({ provider, failedProviders })
+ */
+function showProviderNotice({ provider, failedProviders }) {
+  if (!failedProviders?.length) {
+    hideProviderNotice();
+    return;
+  }
+
+  $("provider-notice").textContent =
+    `🔀 Summarized by ${PROVIDER_NAMES[provider] || provider} — ${describeFailedProviders(failedProviders)} failed`;
+  $("provider-notice").classList.remove("hidden");
+}
+
+function hideProviderNotice() {
+  $("provider-notice").classList.add("hidden");
+}
+
+/**
+ * Show that a provider failed and the next one is being tried, in place of the retry status
+ * @param {{failedProviders: Array<Object>, next: string}} fallback - Fallback details from the job
+ */
+function showFallbackStatus({ failedProviders, next }) {
+  const el = $("retry-status");
+  showRetryStatus(null, el);
+  el.textContent = `🔀 ${describeFailedProviders(failedProviders.slice(-1))} — trying ${PROVIDER_NAMES[next] || next}…`;
+  el.classList.remove("hidden");
+}
+
+// ============================================================================
+// CUSTOM ENDPOINT
+// ============================================================================
+
+/**
+ * Fill the custom endpoint fields and model suggestions from its settings
+ */
+async function loadCustomEndpoint() {
+  const [settings, { models }] = await Promise.all([
+    ProviderSettings.get("custom"),
+    ProviderSettings.listModels("custom"),
+  ]);
+
+  $("custom-base-url").value = settings.baseUrl;
+  $("custom-model").value = settings.model;
+  $("custom-context-window").value = settings.contextWindow;
+  $("custom-context-window").min = CustomProvider.minContextWindow(settings.maxTokens);
+  $("custom-headers").value = CustomProvider.formatHeaders(settings.headers);
+
+  const options = $("custom-model-options");
+  options.textContent = "";
+  models.forEach((id) => {
+    const option = document.createElement("option");
+    option.value = id;
+    options.appendChild(option);
+  });
+}
+
+/**
+ * Save the custom endpoint fields, then test the connection (and the API key, if one was entered)
+ */
+async function saveCustomEndpoint() {
+  const statusEl = $("key-status");
+  const baseUrl = CustomProvider.normalizeBaseUrl($("custom-base-url").value);
+  const fail = (message) => {
+    statusEl.textContent = message;
+    statusEl.style.color = "#f87171";
+  };
+
+  if (!CustomProvider.originPattern(baseUrl)) {
+    fail("✗ Please enter an http:// or https:// base URL");
+    return;
+  }
+  let headers;
+  try {
+    headers = CustomProvider.parseHeaders($("custom-headers").value);
+  } catch (err) {
+    fail(`✗ ${err.message}`);
+    return;
+  }
+
+  // Asked for before anything else, while the click still counts as a user gesture
+  if (!(await CustomProvider.ensureAccess(baseUrl))) {
+    fail(`✗ DashSummarize needs access to ${new URL(baseUrl).hostname} to use this endpoint`);
+    return;
+  }
+
+  const contextWindow = Math.round(Number($("custom-context-window").value)) || CustomProvider.defaultSettings.contextWindow;
+  const { maxTokens } = await ProviderSettings.get("custom");
+  const minContextWindow = CustomProvider.minContextWindow(maxTokens);
+  if (contextWindow < minContextWindow) {
+    fail(
+      `✗ The context window must be at least ${minContextWindow.toLocaleString()} tokens to fit a ` +
+        `${maxTokens.toLocaleString()}-token reply and the page`,
+    );
+    return;
+  }
+
+  await ProviderSettings.save("custom", {
+    baseUrl,
+    model: $("custom-model").value.trim(),
+    contextWindow,
+    headers,
+  });
+
+  await testCustomEndpoint($("custom-api-key").value.trim());
+}
+
+/**
+ * Check that the custom endpoint answers (and serves its model), saving a newly entered key if it isn't rejected
+ * @param {string} [newKey] - Key typed into the form; the saved key (if any) is used otherwise
+ */
+async function testCustomEndpoint(newKey = "") {
+  if (await KeyVault.isLocked()) {
+    promptVaultUnlock(() => testCustomEndpoint(newKey));
+    return;
+  }
+
+  const statusEl = $("key-status");
+  const saveBtn = $("save-custom-endpoint");
+  const apiKey = newKey || (await KeyVault.getKeys()).custom || "";
+  statusEl.textContent = "Testing endpoint...";
+  statusEl.style.color = "#888";
+  saveBtn.disabled = true;
+  const check = await verifyApiKey("custom", apiKey);
+  saveBtn.disabled = false;
+
+  if (check.status === KEY_CHECK_STATUS.INVALID) {
+    statusEl.textContent = `✗ The endpoint rejected the API key${newKey ? ", not saved" : ""}${check.detail ? ` (${check.detail})` : ""}`;
+    statusEl.style.color = "#f87171";
+    return;
+  }
+
+  if (newKey) {
+    await KeyVault.saveKey("custom", newKey);
+    await saveKeyCheck("custom", check);
+    renderKeyChecks();
+  }
+  // Suggest the endpoint's models in the model field
+  if (check.status !== KEY_CHECK_STATUS.UNVERIFIED) {
+    await ProviderSettings.refreshModels("custom", apiKey).catch((err) => console.warn("[Model List Error]", err));
+  }
+
+  if (check.status === KEY_CHECK_STATUS.VALID) {
+    statusEl.textContent = check.model ? `✓ Connected, ${check.model} is available` : "✓ Connected — now pick a model";
+    statusEl.style.color = check.model ? "#4ade80" : "#fbbf24";
+  } else if (check.status === KEY_CHECK_STATUS.NO_MODEL_ACCESS) {
+    statusEl.textContent = `⚠️ ${check.detail || `The endpoint doesn't serve ${check.model}`}`;
+    statusEl.style.color = "#fbbf24";
+  } else {
+    statusEl.textContent = `⚠️ Saved, but couldn't reach the endpoint (${check.detail})`;
+    statusEl.style.color = "#fbbf24";
+  }
+
+  updateSummarizeButtonState($("ai-provider").value);
+  renderFallbackList();
+}
+
+// ============================================================================
+// MODEL SETTINGS
+// ============================================================================
+
+/**
+ * Render a row per provider: model, temperature and maximum reply length
+ */
+async function renderModelSettings() {
+  // The offline summarizer has nothing to tune
+  const providers = Object.keys(PROVIDER_NAMES).filter((id) => !AI_PROVIDERS[id].isLocal);
+  const [settings, lists] = await Promise.all([
+    Promise.all(providers.map((id) => ProviderSettings.get(id))),
+    Promise.all(providers.map((id) => ProviderSettings.listModels(id))),
+  ]);
+  const list = $("model-settings-list");
+  list.textContent = "";
+
+  providers.forEach((provider, index) => {
+    const { models, fetchedAt } = lists[index];
+    const current = settings[index];
+    const row = document.createElement("div");
+    row.className = "model-row";
+
+    const name = document.createElement("span");
+    name.className = "model-name";
+    name.textContent = PROVIDER_NAMES[provider];
+
+    // A model chosen from an earlier list stays selectable
+    const model = document.createElement("select");
+    [...new Set([...models, current.model])].filter(Boolean).forEach((id) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = id;
+      model.appendChild(option);
+    });
+    model.value = current.model;
+
+    const refresh = document.createElement("button");
+    refresh.type = "button";
+    refresh.className = "btn-small";
+    refresh.textContent = "↻";
+    refresh.title = fetchedAt
+      ? `Models loaded from ${PROVIDER_NAMES[provider]} ${new Date(fetchedAt).toLocaleString()}; click to reload`
+      : `Load the models your ${PROVIDER_NAMES[provider]} key can use`;
+    refresh.addEventListener("click", () => refreshModelList(provider));
+
+    const temperature = document.createElement("input");
+    temperature.type = "number";
+    temperature.min = "0";
+    temperature.max = String(AI_PROVIDERS[provider].maxTemperature);
+    temperature.step = "0.1";
+    temperature.value = current.temperature;
+    temperature.title = "Temperature (lower is more focused, higher more varied)";
+
+    const maxTokens = document.createElement("input");
+    maxTokens.type = "number";
+    maxTokens.min = String(ProviderSettings.maxTokensRange.min);
+    maxTokens.max = String(ProviderSettings.maxTokensRange.max);
+    maxTokens.step = "100";
+    maxTokens.value = current.maxTokens;
+    maxTokens.title = "Maximum reply length in tokens";
+
+    const save = () =>
+      ProviderSettings.save(provider, {
+        model: model.value,
+        temperature: Number(temperature.value) || 0,
+        maxTokens: Number(maxTokens.value) || ProviderSettings.defaultMaxTokens,
+      });
+    model.addEventListener("change", save);
+    temperature.addEventListener("change", save);
+    maxTokens.addEventListener("change", save);
+
+    const controls = document.createElement("div");
+    controls.className = "model-controls";
+    controls.appendChild(model);
+    controls.appendChild(refresh);
+    controls.appendChild(temperature);
+    controls.appendChild(maxTokens);
+
+    row.appendChild(name);
+    row.appendChild(controls);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Load the models a provider's saved key can use into its model list
+ * @param {string} provider - Provider id
+ */
+async function refreshModelList(provider) {
+  if (await KeyVault.isLocked()) {
+    promptVaultUnlock(() => refreshModelList(provider));
+    return;
+  }
+
+  const statusEl = $("model-settings-status");
+  const apiKey = (await KeyVault.getKeys())[provider];
+  if (!apiKey && !isApiKeyOptional(provider)) {
+    statusEl.textContent = `🔑 Save a ${PROVIDER_NAMES[provider]} API key to load its models.`;
+    statusEl.style.color = "#fbbf24";
+    return;
+  }
+
+  statusEl.textContent = `Loading ${PROVIDER_NAMES[provider]} models...`;
+  statusEl.style.color = "";
+  try {
+    const models = await ProviderSettings.refreshModels(provider, apiKey);
+    statusEl.textContent = `✓ Loaded ${models.length} ${PROVIDER_NAMES[provider]} models`;
+    statusEl.style.color = "#4ade80";
+  } catch (err) {
+    const reason = err?.name === "AbortError" ? "timed out" : err?.message || `HTTP ${err?.httpStatus}`;
+    console.error("[Model List Error]", { provider, reason });
+    statusEl.textContent = `✗ Couldn't load ${PROVIDER_NAMES[provider]} models (${reason})`;
+    statusEl.style.color = "#f87171";
+  }
+}
+
+// ============================================================================
+// SPENDING BUDGETS
+// ============================================================================
+
+/**
+ * Load the budgets and warning threshold into settings
+ */
+async function loadBudgetSettings() {
+  $("cost-warning-threshold").value = await Budgets.getWarningThreshold();
+  await renderBudgetList();
+}
+
+/**
+ * Render a budget row per provider: spend this period, limit and period
+ */
+async function renderBudgetList() {
+  // The offline summarizer costs nothing
+  const providers = Object.keys(PROVIDER_NAMES).filter((id) => !AI_PROVIDERS[id].isLocal);
+  const statuses = await Promise.all(providers.map((id) => Budgets.getStatus(id)));
+  const list = $("budget-list");
+  list.textContent = "";
+
+  statuses.forEach((status) => {
+    const row = document.createElement("div");
+    row.className = "budget-row";
+
+    const name = document.createElement("span");
+    name.className = "budget-name";
+    name.textContent = PROVIDER_NAMES[status.provider];
+
+    const spent = document.createElement("span");
+    spent.className = "budget-spent";
+    spent.classList.toggle("exhausted", status.exhausted);
+    const when = status.period === "daily" ? "today" : "this month";
+    spent.textContent =
+      status.limit > 0
+        ? `${UsageTracker.formatCost(status.spent)} of ${UsageTracker.formatCost(status.limit)} spent ${when}`
+        : `${UsageTracker.formatCost(status.spent)} spent ${when}`;
+    name.appendChild(spent);
+
+    const limit = document.createElement("input");
+    limit.type = "number";
+    limit.min = "0";
+    limit.step = "0.5";
+    limit.value = status.limit;
+    limit.title = "Budget in USD (0 = no limit)";
+
+    const period = document.createElement("select");
+    Budgets.periods.forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = value === "daily" ? "per day" : "per month";
+      period.appendChild(option);
+    });
+    period.value = status.period;
+
+    const save = () => saveBudget(status.provider, { limit: Math.max(0, Number(limit.value) || 0), period: period.value });
+    limit.addEventListener("change", save);
+    period.addEventListener("change", save);
+
+    row.appendChild(name);
+    row.appendChild(limit);
+    row.appendChild(period);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Save one provider's budget and refresh its spend
+ * @param {string} provider - Provider id
+ * @param {{limit: number, period: string}} budget - Budget in USD and its period
+ */
+async function saveBudget(provider, budget) {
+  const settings = await Budgets.getSettings();
+  await Budgets.saveSettings({ ...settings, [provider]: budget });
+  await renderBudgetList();
+}
+
+// ============================================================================
+// API KEY CHECKS
+// ============================================================================
+
+/**
+ * Text and color of a key check result
+ * @param {Object} check - Result of verifyApiKey()
+ * @returns {{text: string, color: string}}
+ */
+function describeKeyCheck({ status, model, detail }) {
+  switch (status) {
+    case KEY_CHECK_STATUS.VALID:
+      return { text: `✓ API key works with ${model}`, color: "#4ade80" };
+    case KEY_CHECK_STATUS.INVALID:
+      return { text: "✗ Invalid API key", color: "#f87171" };
+    case KEY_CHECK_STATUS.NO_MODEL_ACCESS:
+      return { text: `⚠️ API key has no access to ${model}`, color: "#fbbf24" };
+    default:
+      return { text: `⚠️ Couldn't check the API key (${detail})`, color: "#fbbf24" };
+  }
+}
+
+/**
+ * List the last check of every saved key in settings
+ */
+async function renderKeyChecks() {
+  const [savedKeys, checks] = await Promise.all([KeyVault.listSavedKeys(), loadKeyChecks()]);
+  const list = $("key-check-results");
+  list.textContent = "";
+
+  if (savedKeys.length === 0) {
+    list.textContent = "No saved API keys yet.";
+    return;
+  }
+
+  savedKeys.forEach((provider) => {
+    const row = document.createElement("div");
+    row.className = "key-check-row";
+
+    const name = document.createElement("span");
+    name.className = "key-check-name";
+    name.textContent = PROVIDER_NAMES[provider];
+
+    const result = document.createElement("span");
+    const check = checks[provider];
+    if (check) {
+      const { text, color } = describeKeyCheck(check);
+      result.textContent = text;
+      result.style.color = color;
+      result.title = `Checked ${new Date(check.checkedAt).toLocaleString()}${check.detail ? ` — ${check.detail}` : ""}`;
+    } else {
+      result.textContent = "Not checked yet";
+    }
+
+    row.appendChild(name);
+    row.appendChild(result);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Check every saved key at once and store the results
+ */
+async function verifyAllKeys() {
+  if (await KeyVault.isLocked()) {
+    promptVaultUnlock(verifyAllKeys);
+    return;
+  }
+
+  const btn = $("verify-keys-btn");
+  btn.disabled = true;
+  btn.textContent = "Checking...";
+  try {
+    const keys = Object.entries(await KeyVault.getKeys());
+    const checks = await Promise.all(keys.map(([provider, apiKey]) => verifyApiKey(provider, apiKey)));
+    // Stored one at a time, as each save rewrites the whole map
+    for (const [index, [provider]] of keys.entries()) {
+      await saveKeyCheck(provider, checks[index]);
+    }
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Check all saved keys";
+  }
+
+  await renderKeyChecks();
+  await updateKeyStatus($("ai-provider").value);
+}
+
+// ============================================================================
+// KEY VAULT
+// ============================================================================
+
+// Runs once the passphrase prompt has unlocked the keys, e.g. the summary that needed them
+let pendingUnlockAction = null;
+
+/**
+ * Fill the API key inputs with the usable keys (empty while the vault is locked)
+ */
+async function loadApiKeyInputs() {
+  const [keys, locked] = await Promise.all([KeyVault.getKeys(), KeyVault.isLocked()]);
+
+  KeyVault.providers.forEach((id) => {
+    const input = $(`${id}-api-key`);
+    input.dataset.placeholder ??= input.placeholder;
+    input.value = keys[id] || "";
+    input.placeholder = locked ? "🔒 Locked" : input.dataset.placeholder;
+  });
+}
+
+/**
+ * Show whether a provider has a saved key, whether it is locked, and how its last check went
+ * @param {string} provider - Provider id
+ */
+async function updateKeyStatus(provider) {
+  const [savedKeys, locked, checks] = await Promise.all([KeyVault.listSavedKeys(), KeyVault.isLocked(), loadKeyChecks()]);
+  const statusEl = $("key-status");
+
+  if (!savedKeys.includes(provider)) {
+    statusEl.textContent = "";
+  } else if (locked) {
+    statusEl.textContent = "🔒 API key saved (locked)";
+    statusEl.style.color = "#fbbf24";
+  } else if (checks[provider]) {
+    const { text, color } = describeKeyCheck(checks[provider]);
+    statusEl.textContent = `${text} · checked ${new Date(checks[provider].checkedAt).toLocaleString()}`;
+    statusEl.style.color = color;
+  } else {
+    statusEl.textContent = "✓ API key saved";
+    statusEl.style.color = "#4ade80";
+  }
+}
+
+/**
+ * Show the vault settings for its current state
+ */
+async function renderVaultSettings() {
+  const [enabled, locked, until] = await Promise.all([
+    KeyVault.isEnabled(),
+    KeyVault.isLocked(),
+    KeyVault.unlockedUntil(),
+  ]);
+
+  $("vault-setup").classList.toggle("hidden", enabled);
+  $("vault-controls").classList.toggle("hidden", !enabled);
+  $("vault-lock-minutes").value = await KeyVault.getLockMinutes();
+  $("lock-vault-btn").disabled = locked;
+  if (!locked) $("vault-unlock").classList.add("hidden");
+
+  const statusEl = $("vault-status");
+  statusEl.style.color = locked ? "#fbbf24" : "#4ade80";
+  if (!enabled) {
+    statusEl.textContent = "";
+  } else if (locked) {
+    statusEl.textContent = "🔒 Keys are locked";
+  } else {
+    statusEl.textContent = until
+      ? `🔓 Keys are unlocked until ${new Date(until).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+      : "🔓 Keys are unlocked until the browser closes";
+  }
+}
+
+/**
+ * Refresh everything that depends on whether the keys are usable
+ */
+async function refreshKeyState() {
+  const provider = $("ai-provider").value;
+  await Promise.all([loadApiKeyInputs(), renderVaultSettings(), updateKeyStatus(provider), renderKeyChecks()]);
+  updateSummarizeButtonState(provider);
+  renderFallbackList();
+}
+
+/**
+ * Ask for the passphrase, then run the action that needed the keys
+ * @param {function(): void} [action] - Run once the keys are unlocked
+ */
+function promptVaultUnlock(action = null) {
+  pendingUnlockAction = action;
+  $("vault-unlock-status").classList.add("hidden");
+  $("vault-unlock").classList.remove("hidden");
+  $("vault-unlock-passphrase").focus();
+}
+
+/**
+ * Unlock the keys from the passphrase prompt
+ * @param {Event} event - Form submit event
+ */
+async function unlockVault(event) {
+  event.preventDefault();
+
+  const input = $("vault-unlock-passphrase");
+  if (!(await KeyVault.unlock(input.value))) {
+    $("vault-unlock-status").textContent = "✗ Wrong passphrase";
+    $("vault-unlock-status").style.color = "#f87171";
+    $("vault-unlock-status").classList.remove("hidden");
+    input.select();
+    return;
+  }
+
+  input.value = "";
+  $("vault-unlock").classList.add("hidden");
+  await refreshKeyState();
+
+  const action = pendingUnlockAction;
+  pendingUnlockAction = null;
+  action?.();
+}
+
+/**
+ * Encrypt the saved keys with the passphrase entered in settings
+ */
+async function enableVault() {
+  const passphrase = $("vault-passphrase").value;
+  const statusEl = $("vault-status");
+  statusEl.style.color = "#f87171";
+
+  if (passphrase.length < KeyVault.minPassphraseLength) {
+    statusEl.textContent = `✗ Use a passphrase of at least ${KeyVault.minPassphraseLength} characters`;
+    return;
+  }
+  if (passphrase !== $("vault-passphrase-confirm").value) {
+    statusEl.textContent = "✗ Passphrases don't match";
+    return;
+  }
+
+  $("enable-vault-btn").disabled = true;
+  try {
+    await KeyVault.enable(passphrase);
+    $("vault-passphrase").value = "";
+    $("vault-passphrase-confirm").value = "";
+  } catch (err) {
+    console.error("[Key Vault Error]", err.debugInfo || err);
+    // Show whatever state the keys were left in, then why
+    await refreshKeyState();
+    statusEl.textContent = err.userMessage || "✗ Failed to encrypt your API keys. Please try again.";
+    statusEl.style.color = "#f87171";
+    return;
+  } finally {
+    $("enable-vault-btn").disabled = false;
+  }
+  await refreshKeyState();
+}
+
+/**
+ * Store the keys unencrypted again (after unlocking them)
+ */
+async function disableVault() {
+  if (await KeyVault.isLocked()) {
+    promptVaultUnlock(disableVault);
+    return;
+  }
+  if (!confirm("Store your API keys unencrypted again?")) return;
+
+  await KeyVault.disable();
+  await refreshKeyState();
+}
+
+async function lockVault() {
+  await KeyVault.lock();
+  await refreshKeyState();
+}
+
+async function resetVault() {
+  if (!confirm("Delete your encrypted API keys? You will need to enter them again.")) return;
+
+  await KeyVault.reset();
+  $("vault-unlock").classList.add("hidden");
+  await refreshKeyState();
+}
+
+// ============================================================================
+// SUMMARY TYPES
+// ============================================================================
+
+/**
+ * Load summary types from storage and refresh the select and settings list
+ */
+async function loadSummaryTypes() {
+  summaryTypes = await PromptTemplates.loadTypes();
+  populateSummaryTypeSelect();
+  renderSummaryTypeList();
+}
+
+/**
+ * Fill the #summary-type select, keeping the current choice when it still exists
+ */
+function populateSummaryTypeSelect() {
+  const select = $("summary-type");
+  const previous = select.value || "detailed";
+
+  select.textContent = "";
+  summaryTypes.forEach((type) => {
+    const option = document.createElement("option");
+    option.value = type.id;
+    option.textContent = type.name;
+    select.appendChild(option);
+  });
+
+  select.value = summaryTypes.some((t) => t.id === previous) ? previous : summaryTypes[0]?.id;
+}
+
+/**
+ * Render the editable list of summary types in settings
+ */
+function renderSummaryTypeList() {
+  const list = $("summary-types-list");
+  list.textContent = "";
+
+  summaryTypes.forEach((type, index) => {
+    const row = document.createElement("div");
+    row.className = "summary-type-row";
+
+    const name = document.createElement("span");
+    name.className = "summary-type-name";
+    name.textContent = type.name;
+    name.title = type.template;
+
+    const actions = document.createElement("div");
+    actions.className = "summary-type-actions";
+
+    const addButton = (label, title, onClick, disabled = false) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn-small";
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.addEventListener("click", onClick);
+      actions.appendChild(btn);
+    };
+
+    addButton("↑", "Move up", () => moveSummaryType(index, -1), index === 0);
+    addButton("↓", "Move down", () => moveSummaryType(index, 1), index === summaryTypes.length - 1);
+    addButton("Edit", "Edit template", () => openSummaryTypeEditor(type.id));
+    if (!type.builtIn) {
+      addButton("Delete", "Delete summary type", () => deleteSummaryType(type.id));
+    }
+
+    row.appendChild(name);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Save the current list and refresh the UI
+ */
+async function persistSummaryTypes() {
+  await PromptTemplates.saveTypes(summaryTypes);
+  populateSummaryTypeSelect();
+  renderSummaryTypeList();
+}
+
+async function moveSummaryType(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= summaryTypes.length) return;
+
+  const reordered = [...summaryTypes];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  summaryTypes = reordered;
+  await persistSummaryTypes();
+}
+
+async function deleteSummaryType(id) {
+  const type = summaryTypes.find((t) => t.id === id);
+  if (!type || type.builtIn) return;
+  if (!confirm(`Delete the "${type.name}" summary type?`)) return;
+
+  summaryTypes = summaryTypes.filter((t) => t.id !== id);
+  await persistSummaryTypes();
+}
+
+async function resetSummaryTypes() {
+  if (!confirm("Restore the built-in summary types? Custom types will be removed.")) return;
+
+  await PromptTemplates.resetTypes();
+  closeSummaryTypeEditor();
+  await loadSummaryTypes();
+}
+
+/**
+ * Open the template editor for an existing type, or for a new one when id is null
+ * @param {string|null} id - Summary type id to edit
+ */
+function openSummaryTypeEditor(id) {
+  const type = summaryTypes.find((t) => t.id === id);
+
+  $("summary-type-editor").dataset.editing = type ? type.id : "";
+  $("summary-type-name").value = type ? type.name : "";
+  $("summary-type-template").value = type
+    ? type.template
+    : "Summarize this page in {{language}}.\n\nTitle: {{title}}\nURL: {{url}}\n\nContent:\n{{content}}";
+  $("summary-type-status").textContent = "";
+  $("summary-type-editor").classList.remove("hidden");
+  $("add-summary-type").classList.add("hidden");
+  $("summary-type-name").focus();
+}
+
+function closeSummaryTypeEditor() {
+  $("summary-type-editor").classList.add("hidden");
+  $("add-summary-type").classList.remove("hidden");
+}
+
+async function saveSummaryTypeFromEditor() {
+  const name = $("summary-type-name").value.trim();
+  const template = $("summary-type-template").value.trim();
+  const statusEl = $("summary-type-status");
+
+  if (!name || !template) {
+    statusEl.textContent = "✗ Name and template are both required";
+    statusEl.style.color = "#f87171";
+    return;
+  }
+
+  const editingId = $("summary-type-editor").dataset.editing;
+  if (editingId) {
+    summaryTypes = summaryTypes.map((t) => (t.id === editingId ? { ...t, name, template } : t));
+  } else {
+    summaryTypes = [...summaryTypes, { id: `custom-${Date.now()}`, name, template }];
+  }
+
+  await persistSummaryTypes();
+  closeSummaryTypeEditor();
+}
+
+// ============================================================================
+// TRANSLATION
+// ============================================================================
+
+/**
+ * Language the translate action targets: the output language setting, or the
+ * browser's UI language when the setting is "same as page"
+ * @returns {string} Language code
+ */
+function getTranslationTarget() {
+  const setting = $("output-language").value;
+  return setting && setting !== "same" ? setting : (navigator.language || "en").split("-")[0];
+}
+
+function updateTranslateButton() {
+  $("translate-btn").textContent = `🌐 Translate to ${languageName(getTranslationTarget())}`;
+}
+
+/**
+ * Provider that continues a summary (translation, follow-up questions): the one that wrote it,
+ * or the selected provider when that one can't chat (the offline summarizer) or wasn't recorded
+ * @param {string|null} provider - Provider id of the summary
+ * @returns {Promise<string>}
+ */
+async function followUpProvider(provider) {
+  if (provider && AI_PROVIDERS[provider]?.supportsChat !== false) return provider;
+
+  const stored = await chrome.storage.local.get(["ai_provider"]);
+  return stored.ai_provider || "openai";
+}
+
+/**
+ * Translate the summary on screen and save the translation as a new history entry
+ */
+async function translateSummary() {
+  const meta = currentSummaryMeta;
+  const original = summary;
+  if (!original || !meta) {
+    showError("📋 No summary to translate.");
+    return;
+  }
+
+  const provider = await followUpProvider(meta.provider);
+  const apiKey = (await KeyVault.getKeys())[provider];
+  if ((await needsApiKey(provider, apiKey)) && (await KeyVault.isLocked())) {
+    promptVaultUnlock(translateSummary);
+    return;
+  }
+
+  if (AI_PROVIDERS[provider].supportsChat === false) {
+    showError(`🧮 ${PROVIDER_NAMES[provider]} can only summarize. Pick an AI provider to translate.`);
+    return;
+  }
+  if (!apiKey && !isApiKeyOptional(provider)) {
+    showError("🔑 Please save your API key first.");
+    return;
+  }
+
+  const targetCode = getTranslationTarget();
+  const targetName = languageName(targetCode);
+  const systemPrompt =
+    `You are a professional translator. Translate the user's text into ${targetName}. ` +
+    "Preserve the Markdown formatting, code, names and numbers exactly. Output only the translation.";
+
+  hideError();
+  markBusy("translate", true);
+  $("translate-btn").disabled = true;
+  $("translate-btn").textContent = "Translating...";
+  const streamRenderer = createStreamRenderer();
+
+  try {
+    const { text: translated, usage, model } = await runProviderRequest(
+      provider,
+      (aiProvider, signal, handleChunk, settings) =>
+        aiProvider.chat(apiKey, systemPrompt, [{ role: "user", content: original }], signal, handleChunk, settings),
+      streamRenderer,
+      (retry) => showRetryStatus(retry),
+      `${systemPrompt}\n\n${original}`,
+    );
+
+    // The summary was cleared or replaced while waiting
+    if (currentSummaryMeta !== meta) return;
+
+    summary = translated;
+    hideCacheNotice();
+    hideProviderNotice();
+    renderSummary(translated);
+    updateSummaryStats(translated, usage, model);
+
+    const historyId = await saveSummary(translated, meta.title, meta.url, meta.type, {
+      provider,
+      model,
+      language: targetCode,
+      translatedFrom: meta.historyId || null,
+      usage: usage ? [{ kind: "translation", ...usage }] : [],
+    });
+    currentSummaryMeta = { ...meta, historyId, language: targetCode, usage, provider, model };
+
+    // Keep follow-up questions going against the translated summary
+    if (chatSession) {
+      chatSession.summary = translated;
+      chatSession.historyId = historyId;
+      chatSession.provider = provider;
+    }
+
+    loadHistory();
+  } catch (err) {
+    // Put the original back in case a partial translation was streamed over it
+    if (currentSummaryMeta === meta) {
+      renderSummary(original);
+    }
+
+    const errorInfo = err?.userMessage ? err : classifyError(err, null);
+    showError(errorInfo.userMessage);
+    console.error("[Translation Error]", {
+      type: errorInfo.type,
+      debugInfo: errorInfo.debugInfo,
+    });
+  } finally {
+    streamRenderer?.cancel();
+    $("summary-result").classList.remove("streaming");
+    $("translate-btn").disabled = false;
+    showRetryStatus(null);
+    markBusy("translate", false);
+    updateTranslateButton();
+  }
+}
+
+// ============================================================================
+// FOLLOW-UP CHAT
+// ============================================================================
+
+/**
+ * Start a follow-up conversation about a summary
+ * @param {Object} session - { historyId, title, url, pageContent, summary, messages?, provider? }
+ */
+function startChatSession(session) {
+  chatSession = {
+    ...session,
+    pageContent: trimAtBoundary(session.pageContent || "", CHAT_CONTEXT_MAX_CHARS),
+    messages: session.messages || [],
+  };
+  $("chat-input").value = "";
+  $("chat-error").classList.add("hidden");
+  renderChatMessages();
+  $("chat-container").classList.remove("hidden");
+}
+
+/**
+ * Close the current conversation and hide the chat panel
+ */
+function endChatSession() {
+  chatSession = null;
+  $("chat-messages").textContent = "";
+  $("chat-error").classList.add("hidden");
+  $("chat-container").classList.add("hidden");
+}
+
+/**
+ * Reopen a saved summary and its conversation from history
+ * @param {Object} item - History entry with pageContent and conversation
+ */
+function resumeChat(item) {
+  summary = item.text;
+  lastSummarizeContext = null;
+  currentSummaryMeta = {
+    historyId: item.id,
+    title: item.title,
+    url: item.url,
+    type: item.type,
+    language: item.language || null,
+    usage: item.usage?.find((record) => record.kind !== "chat") || null,
+    provider: item.provider || null,
+    model: item.model || null,
+  };
+  hideError();
+  hideRetryButton();
+  hideCacheNotice();
+  hideProviderNotice();
+  renderSummary(item.text);
+  updateSummaryStats(item.text, currentSummaryMeta.usage, currentSummaryMeta.model);
+
+  startChatSession({
+    historyId: item.id,
+    title: item.title,
+    url: item.url,
+    pageContent: item.pageContent,
+    summary: item.text,
+    messages: item.conversation,
+    provider: item.provider || null,
+  });
+  $("chat-container").scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * Build the system prompt that grounds follow-up answers in the page content
+ * @param {Object} session - Active chat session
+ * @returns {string} System prompt
+ */
+function buildChatSystemPrompt(session) {
+  return [
+    "You are a helpful assistant answering follow-up questions about a web page the user has just summarized.",
+    "Answer only from the page content below. If the page does not contain the answer, say so instead of guessing.",
+    "Quote exact names, values and defaults from the page where relevant, and keep answers concise.",
+    "",
+    `Title: ${session.title}`,
+    `URL: ${session.url}`,
+    "",
+    "Summary already shown to the user:",
+    session.summary,
+    "",
+    "Page content:",
+    session.pageContent,
+  ].join("\n");
+}
+
+/**
+ * Page content to send with a follow-up, trimmed the way summarization trims long pages
+ * so it fits the provider's context window next to the summary and the conversation
+ * @param {Object} session - Chat session
+ * @param {Array<{role: string, content: string}>} messages - Conversation including the new question
+ * @param {string} provider - Provider id
+ * @returns {Promise<string>}
+ * @throws {Object} Structured error ({ type: "context_too_small", userMessage, debugInfo })
+ */
+async function fitChatPageContent(session, messages, provider) {
+  const settings = await ProviderSettings.get(provider);
+  await TokenCounter.prepare(provider, settings.model);
+  const { safeLimit } = getTokenLimits(settings);
+
+  const rest = [buildChatSystemPrompt({ ...session, pageContent: "" }), ...messages.map((message) => message.content)];
+  const room = safeLimit - TokenCounter.count(rest.join("\n\n"), provider).tokens;
+  if (room <= 0) {
+    throw {
+      type: ERROR_TYPES.CONTEXT_TOO_SMALL,
+      userMessage: `📏 This conversation no longer fits the context window of ${PROVIDER_NAMES[provider] || provider}. Summarize the page again to start a new one.`,
+      debugInfo: `Summary and conversation exceed the safe limit of ${safeLimit} tokens by ${-room}`,
+    };
+  }
+  return trimContent(session.pageContent, room, provider);
+}
+
+/**
+ * Append a chat bubble to the conversation panel
+ * @param {string} role - "user" or "assistant"
+ * @param {string} text - Message text (Markdown for assistant replies)
+ * @returns {HTMLElement} The new message element
+ */
+function appendChatMessage(role, text) {
+  const message = document.createElement("div");
+  message.className = `chat-message ${role}`;
+
+  if (role === "assistant") {
+    renderMarkdown(message, text);
+  } else {
+    message.textContent = text;
+  }
+
+  $("chat-messages").appendChild(message);
+  message.scrollIntoView({ block: "nearest" });
+  return message;
+}
+
+function renderChatMessages() {
+  $("chat-messages").textContent = "";
+  chatSession?.messages.forEach((message) => appendChatMessage(message.role, message.content));
+}
+
+function setChatLoading(loading) {
+  markBusy("chat", loading);
+  $("chat-send-btn").disabled = loading;
+  $("chat-input").disabled = loading;
+  $("chat-send-btn").textContent = loading ? "Thinking..." : "Ask";
+}
+
+function showChatError(msg) {
+  $("chat-error").textContent = msg;
+  $("chat-error").classList.remove("hidden");
+}
+
+/**
+ * Send the question in the chat input, with the full conversation so far
+ * @param {Event} event - Form submit event
+ */
+async function askFollowUp(event) {
+  event.preventDefault();
+
+  const session = chatSession;
+  const question = $("chat-input").value.trim();
+  if (!session || !question) return;
+
+  const provider = await followUpProvider(session.provider);
+  const apiKey = (await KeyVault.getKeys())[provider];
+  if ((await needsApiKey(provider, apiKey)) && (await KeyVault.isLocked())) {
+    promptVaultUnlock(() => $("chat-form").requestSubmit());
+    return;
+  }
+
+  if (AI_PROVIDERS[provider].supportsChat === false) {
+    showChatError(`🧮 ${PROVIDER_NAMES[provider]} can only summarize. Pick an AI provider to ask follow-up questions.`);
+    return;
+  }
+  if (!apiKey && !isApiKeyOptional(provider)) {
+    showChatError("🔑 Please save your API key first.");
+    return;
+  }
+
+  const messages = [...session.messages, { role: "user", content: question }];
+
+  $("chat-input").value = "";
+  $("chat-error").classList.add("hidden");
+  setChatLoading(true);
+
+  const questionEl = appendChatMessage("user", question);
+  const replyEl = appendChatMessage("assistant", "");
+  replyEl.classList.add("pending");
+  const streamRenderer = createStreamRenderer(replyEl, (text) => renderMarkdown(replyEl, text));
+
+  try {
+    const systemPrompt = buildChatSystemPrompt({
+      ...session,
+      pageContent: await fitChatPageContent(session, messages, provider),
+    });
+    const { text: answer, usage } = await runProviderRequest(
+      provider,
+      (aiProvider, signal, handleChunk, settings) =>
+        aiProvider.chat(apiKey, systemPrompt, messages, signal, handleChunk, settings),
+      streamRenderer,
+      (retry) => showRetryStatus(retry, $("chat-retry-status")),
+      [systemPrompt, ...messages.map((message) => message.content)].join("\n\n"),
+    );
+
+    // The summary was cleared or replaced while waiting
+    if (chatSession !== session) return;
+
+    session.messages = [...messages, { role: "assistant", content: answer }];
+    renderMarkdown(replyEl, answer);
+    await saveConversation(session);
+    await UsageTracker.record(session.historyId, usage && { kind: "chat", ...usage });
+  } catch (err) {
+    questionEl.remove();
+    replyEl.remove();
+    if (chatSession === session) {
+      $("chat-input").value = question;
+    }
+
+    const errorInfo = err?.userMessage ? err : classifyError(err, null);
+    showChatError(errorInfo.userMessage);
+    console.error("[Follow-up Chat Error]", {
+      type: errorInfo.type,
+      debugInfo: errorInfo.debugInfo,
+    });
+  } finally {
+    streamRenderer?.cancel();
+    replyEl.classList.remove("streaming", "pending");
+    showRetryStatus(null, $("chat-retry-status"));
+    setChatLoading(false);
+  }
+}
+
+// ============================================================================
+// SUMMARY JOBS
+// ============================================================================
+
+// Tab whose summary is on screen: the active tab in the popup, the followed tab in the side panel
+let viewTabId = null;
+
+// Job being shown, its streaming renderer, and the port the service worker publishes jobs on
+let watchedJob = null;
+let jobStreamRenderer = null;
+let jobPort = null;
+
+/**
+ * Connect to the service worker's job updates (again, if it was restarted)
+ */
+function ensureJobPort() {
+  if (jobPort) return;
+
+  jobPort = chrome.runtime.connect({ name: "jobs" });
+  jobPort.onMessage.addListener((message) => {
+    if (message.type === "job-update") handleJobUpdate(message.job);
+  });
+  jobPort.onDisconnect.addListener(() => {
+    jobPort = null;
+
+    // A job cut off by the worker stopping is reported as failed once it restarts
+    if (isJobInProgress()) attachToTabJob(viewTabId);
+  });
+}
+
+/**
+ * Reconnect when a restarted service worker stores jobs (e.g. one started by the shortcut)
+ * @param {Object} changes - chrome.storage.session changes
+ */
+function handleJobStorageChange(changes) {
+  if (!changes.summary_jobs || jobPort) return;
+
+  ensureJobPort();
+  attachToTabJob(viewTabId);
+}
+
+/**
+ * Ask for access to all sites, which is needed to read tabs the extension was not invoked on
+ * (the side panel's followed tab and every tab of a "Summarize All Tabs" digest) and to download PDFs
+ * (activeTab only covers running scripts in the tab the popup, shortcut or context menu was used on)
+ */
+async function ensureHostAccess() {
+  const origins = ["http://*/*", "https://*/*"];
+  if (await chrome.permissions.contains({ origins })) return;
+
+  try {
+    await chrome.permissions.request({ origins });
+  } catch (err) {
+    // No user gesture (e.g. started from the shortcut); activeTab may still cover this tab
+    console.warn("Could not request site access:", err);
+  }
+}
+
+/**
+ * Whether the job on screen is still queued or running
+ * @returns {boolean}
+ */
+function isJobInProgress() {
+  return watchedJob?.status === "queued" || watchedJob?.status === "running";
+}
+
+/**
+ * Show the latest job of a tab, unless its result has already been shown
+ * @param {number|null} tabId - Tab to look up
+ */
+async function attachToTabJob(tabId) {
+  if (tabId === null) return;
+
+  try {
+    const { jobs = [] } = await chrome.runtime.sendMessage({ type: "get-jobs" });
+    const job = jobs.filter((j) => j.tabId === tabId).pop();
+    if (job && tabId === viewTabId) handleJobUpdate(job);
+  } catch (err) {
+    console.error("Failed to load summary jobs:", err);
+  }
+}
+
+/**
+ * Follow a job update if it belongs to the tab on screen and is the newest one for it
+ * @param {Object} job - Job published by the service worker
+ */
+function handleJobUpdate(job) {
+  if (job.tabId !== viewTabId || job.acknowledged) return;
+  if (watchedJob && watchedJob.id !== job.id && job.createdAt < watchedJob.createdAt) return;
+
+  // The same result can arrive from get-jobs and the port; show it once
+  if (watchedJob?.id === job.id && !isJobInProgress()) return;
+  watchedJob = job;
+
+  if (job.status === "done") {
+    finishJob(job);
+  } else if (job.status === "failed") {
+    failJob(job);
+  } else {
+    renderJobProgress(job);
+  }
+}
+
+/**
+ * Stop following the job on screen (its updates are ignored until the tab is shown again)
+ */
+function unwatchJob() {
+  watchedJob = null;
+  showRetryStatus(null);
+  jobStreamRenderer?.cancel();
+  jobStreamRenderer = null;
+  $("summary-result").classList.remove("streaming");
+  setLoading(false);
+}
+
+/**
+ * Show the progress of a queued or running job
+ * @param {Object} job - Summary job
+ */
+function renderJobProgress(job) {
+  setLoading(true);
+  hideError();
+  hideRetryButton();
+  lastSummarizeContext = { source: job.source };
+
+  if (job.content) {
+    updateContentStats(job.content.wordCount, job.content.extraction, job.content.pdfPages, job.content.tokens);
+  }
+
+  if (job.batch) {
+    showBatchProgress(job.batch);
+  } else if (job.progress) {
+    showChunkProgress(job.progress.current, job.progress.total, job.progress.stage);
+  } else if (job.limit) {
+    showLimitWarning(job.limit.estimatedTokens, job.limit.safeLimit, job.limit.tokenSource);
+    if (job.trim) showTrimNotice(job.trim.originalLength, job.trim.trimmedLength, job.trim.tokensSaved);
+  } else {
+    hideLimitWarnings();
+  }
+
+  if (job.images) {
+    showImageIndicator(job.images.count, job.images.included);
+  }
+
+  showCostWarning(job.costWarning);
+
+  if (job.fallback && !job.retry) {
+    showFallbackStatus(job.fallback);
+  } else {
+    showRetryStatus(job.retry);
+  }
+
+  if (job.partial) {
+    jobStreamRenderer ??= createStreamRenderer();
+    jobStreamRenderer?.(job.partial);
+  }
+}
+
+/**
+ * Show how far a "Summarize All Tabs" digest has got, in place of the trim notice
+ * @param {{total: number, done: number, failed: number}} batch - Tab counts
+ */
+function showBatchProgress({ total, done, failed }) {
+  const noticeEl = $("trim-notice");
+  const settled = done + failed;
+
+  noticeEl.classList.add("chunk-notice");
+  noticeEl.textContent =
+    settled < total
+      ? `Summarizing ${total} tabs — ${settled} of ${total} finished…`
+      : `Summarized ${done} of ${total} tabs${failed ? ` (${failed} could not be summarized)` : ""}.`;
+  noticeEl.classList.remove("hidden");
+}
+
+/**
+ * Show how many page images were found and whether the provider receives them
+ * @param {number} count - Images extracted from the page
+ * @param {boolean} included - Whether the provider accepts images
+ */
+function showImageIndicator(count, included) {
+  const imgIndicator = $("image-indicator");
+  const detected = `🖼️ ${count} image${count > 1 ? "s" : ""} detected`;
+
+  if (count > 0 && included) {
+    imgIndicator.textContent = `${detected} — included in summary`;
+    imgIndicator.className = "image-indicator img-found";
+  } else if (count > 0) {
+    imgIndicator.textContent = `${detected} — not supported by this provider`;
+    imgIndicator.className = "image-indicator img-skipped";
+  } else {
+    imgIndicator.textContent = "";
+    imgIndicator.className = "image-indicator";
+  }
+}
+
+/**
+ * Show a finished job's summary and open the follow-up chat on it
+ * @param {Object} job - Job with status "done"
+ */
+async function finishJob(job) {
+  renderJobProgress(job);
+  unwatchJob();
+  watchedJob = job;
+
+  const { result } = job;
+  summary = result.summary;
+  renderSummary(summary);
+  if (result.cachedAt) {
+    showCacheNotice(result.cachedAt);
+  } else {
+    hideCacheNotice();
+  }
+  showProviderNotice(result);
+
+  // Auto-scroll to top of result after generation
+  scrollToTop();
+
+  // Display summary word count, reading time and cost
+  updateSummaryStats(summary, result.usage, result.model);
+
+  currentSummaryMeta = {
+    historyId: result.historyId,
+    title: job.title,
+    url: job.url,
+    type: result.type,
+    language: result.language,
+    usage: result.usage,
+    provider: result.provider || null,
+    model: result.model || null,
+  };
+  loadHistory();
+  updateCacheStatus();
+  acknowledgeJob(job);
+
+  // Allow follow-up questions about the same extracted content
+  let pageContent = "";
+  try {
+    ({ content: pageContent } = await chrome.runtime.sendMessage({ type: "get-job-content", jobId: job.id }));
+  } catch (err) {
+    console.error("Failed to load page content for chat:", err);
+  }
+  if (watchedJob !== job) return;
+
+  startChatSession({
+    historyId: result.historyId,
+    title: job.title,
+    url: job.url,
+    pageContent,
+    summary,
+    messages: result.conversation,
+    provider: result.provider || null,
+  });
+}
+
+/**
+ * Show why a job failed, with the retry button
+ * @param {Object} job - Job with status "failed"
+ */
+function failJob(job) {
+  unwatchJob();
+  watchedJob = job;
+
+  // Discard any partially streamed output
+  $("result-container").classList.add("hidden");
+  lastSummarizeContext = { source: job.source };
+  showError(job.error.userMessage);
+  if (job.error.type === ERROR_TYPES.VAULT_LOCKED) {
+    promptVaultUnlock(retrySummarize);
+  }
+  acknowledgeJob(job);
+}
+
+/**
+ * Tell the service worker a job's outcome has been seen, which clears its badge
+ * @param {Object} job - Settled job
+ */
+function acknowledgeJob(job) {
+  chrome.runtime.sendMessage({ type: "ack-job", jobId: job.id }).catch((err) => {
+    console.error("Failed to acknowledge summary job:", err);
+  });
+}
+
+// ============================================================================
+// SIDE PANEL
+// ============================================================================
+
+// Window the side panel belongs to (the tab it shows is viewTabId)
+let panelWindowId = null;
+
+// Summary, chat and retry state of tabs the side panel has shown, by tab id
+const panelTabStates = new Map();
+
+// Chat and translation requests still running; the panel only switches tabs once they have all settled
+// (summaries run as background jobs tied to their tab, so they don't hold the panel)
+const busyTasks = new Set();
+
+/**
+ * Record whether a request (chat, translation) is in flight
+ * @param {string} task - Task name
+ * @param {boolean} busy - Whether the task is running
+ */
+function markBusy(task, busy) {
+  if (busy) {
+    busyTasks.add(task);
+    return;
+  }
+
+  busyTasks.delete(task);
+  if (IS_SIDE_PANEL && busyTasks.size === 0) {
+    syncPanelTab();
+  }
+}
+
+/**
+ * Open the side panel for this window and close the popup
+ */
+async function openSidePanel() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    await chrome.sidePanel.open({ windowId: currentWindow.id });
+    window.close();
+  } catch (err) {
+    console.error("Failed to open side panel:", err);
+    showError("❌ Could not open the side panel.");
+  }
+}
+
+/**
+ * Set up the side panel: show the active tab and follow tab switches and navigation
+ */
+async function initSidePanel() {
+  document.body.classList.add("side-panel");
+  $("open-side-panel-btn").classList.add("hidden");
+  $("panel-tab").classList.remove("hidden");
+  $("btn-text").textContent = "Summarize This Tab";
+
+  panelWindowId = (await chrome.windows.getCurrent()).id;
+  await syncPanelTab();
+
+  chrome.tabs.onActivated.addListener(({ windowId }) => {
+    if (windowId === panelWindowId) syncPanelTab();
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tabId !== viewTabId) {
+      // A summary of the old page no longer applies once a background tab navigates
+      if (changeInfo.url) panelTabStates.delete(tabId);
+      return;
+    }
+    if (changeInfo.url && busyTasks.size === 0 && !isJobInProgress()) {
+      panelTabStates.delete(tabId);
+      clearSummary();
+      hidePageNotices();
+    }
+    if (changeInfo.url || changeInfo.title || changeInfo.favIconUrl) {
+      renderPanelTab(tab);
+    }
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => panelTabStates.delete(tabId));
+}
+
+/**
+ * Switch the panel to the window's active tab, saving the previous tab's state
+ * Deferred while a chat or translation request is running so its result lands on the tab it belongs to;
+ * a summary job keeps running and is picked up again when its tab is shown
+ */
+async function syncPanelTab() {
+  const [tab] = await chrome.tabs.query({ active: true, windowId: panelWindowId });
+  if (!tab) return;
+
+  if (busyTasks.size > 0 || tab.id === viewTabId) {
+    if (tab.id === viewTabId) renderPanelTab(tab);
+    return;
+  }
+
+  if (viewTabId !== null) {
+    panelTabStates.set(viewTabId, {
+      summary,
+      currentSummaryMeta,
+      lastSummarizeContext,
+      chatSession,
+    });
+  }
+
+  viewTabId = tab.id;
+  renderPanelTab(tab);
+  restorePanelTabState(panelTabStates.get(tab.id));
+  await attachToTabJob(tab.id);
+}
+
+/**
+ * Show a tab's saved summary and conversation, or an empty panel
+ * @param {Object} [state] - State saved by syncPanelTab()
+ */
+function restorePanelTabState(state) {
+  unwatchJob();
+  clearSummary();
+  hidePageNotices();
+  if (!state?.summary) return;
+
+  summary = state.summary;
+  currentSummaryMeta = state.currentSummaryMeta;
+  lastSummarizeContext = state.lastSummarizeContext;
+  renderSummary(summary);
+  updateSummaryStats(summary, currentSummaryMeta?.usage, currentSummaryMeta?.model);
+
+  if (state.chatSession) {
+    startChatSession(state.chatSession);
+  }
+}
+
+/**
+ * Hide the per-page stats and notices shown above the summarize button
+ */
+function hidePageNotices() {
+  hideLimitWarnings();
+  showCostWarning(null);
+  $("content-stats").classList.add("hidden");
+  $("image-indicator").textContent = "";
+  $("image-indicator").className = "image-indicator";
+}
+
+/**
+ * Show which tab the panel is working on
+ * @param {chrome.tabs.Tab} tab - Tab shown in the panel
+ */
+function renderPanelTab(tab) {
+  $("panel-tab-title").textContent = tab.title || tab.url || "New Tab";
+  $("panel-tab-title").title = tab.url || "";
+  $("panel-tab-icon").src = tab.favIconUrl?.startsWith("https://") ? tab.favIconUrl : "icon.png";
+}
+
 // ============================================================================
 // PASSWORD VISIBILITY TOGGLE
 // ============================================================================
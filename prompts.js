@@ -0,0 +1,91 @@
+/**
+ * Prompt Templates - Summary types and the template engine shared by all providers
+ * Templates use {{variable}} placeholders: {{title}}, {{url}}, {{content}}, {{language}}
+ */
+
+const PromptTemplates = {
+  storageKey: "summary_types",
+  variables: ["title", "url", "content", "language"],
+
+  /**
+   * Built-in summary types, used until the user customizes the list
+   * Built-ins can be edited and reordered but not deleted
+   */
+  defaultTypes: [
+    {
+      id: "brief",
+      name: "Brief (2-3 sentences)",
+      builtIn: true,
+      template:
+        "Summarize this article in 2-3 clear sentences. Focus on the main point.\n\nTitle: {{title}}\n\nContent:\n{{content}}",
+    },
+    {
+      id: "detailed",
+      name: "Detailed (bullet points)",
+      builtIn: true,
+      template:
+        "Provide a detailed summary with key points as bullet points. Include main arguments and conclusions.\n\nTitle: {{title}}\n\nContent:\n{{content}}",
+    },
+    {
+      id: "technical",
+      name: "Technical (for docs)",
+      builtIn: true,
+      template:
+        "Summarize this technical documentation. Include: purpose, key concepts, important functions/methods, and usage notes.\n\nTitle: {{title}}\n\nContent:\n{{content}}",
+    },
+  ],
+
+  /**
+   * Render a template, replacing {{variable}} placeholders
+   * Unknown variables render as empty strings. If the template never references
+   * {{content}}, the page content is appended so the model always receives it;
+   * likewise a language instruction is prepended when {{language}} is unused.
+   * @param {string} template - Template text
+   * @param {Object<string, string>} vars - Variable values
+   * @returns {string} Rendered prompt
+   */
+  render(template, vars) {
+    // Own properties only, so {{constructor}} or {{toString}} don't expand to Object's methods
+    let rendered = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) =>
+      Object.hasOwn(vars, name) ? (vars[name] ?? "") : "",
+    );
+
+    if (!/\{\{\s*language\s*\}\}/.test(template) && vars.language) {
+      rendered = `Write your response in ${vars.language}.\n\n${rendered}`;
+    }
+    if (!/\{\{\s*content\s*\}\}/.test(template) && vars.content) {
+      rendered = `${rendered}\n\nContent:\n${vars.content}`;
+    }
+    return rendered;
+  },
+
+  /**
+   * Load the user's summary types (falls back to the built-ins)
+   * @returns {Promise<Array<{id: string, name: string, template: string, builtIn?: boolean}>>}
+   */
+  async loadTypes() {
+    const stored = await chrome.storage.local.get([this.storageKey]);
+    const types = stored[this.storageKey];
+    return Array.isArray(types) && types.length > 0 ? types : this.defaultTypes.map((type) => ({ ...type }));
+  },
+
+  /**
+   * Persist the ordered list of summary types
+   * @param {Array<Object>} types - Summary types in display order
+   */
+  async saveTypes(types) {
+    await chrome.storage.local.set({ [this.storageKey]: types });
+  },
+
+  /**
+   * Restore the built-in summary types, discarding custom ones
+   */
+  async resetTypes() {
+    await chrome.storage.local.remove(this.storageKey);
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.PromptTemplates = PromptTemplates;
+}
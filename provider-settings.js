@@ -0,0 +1,97 @@
+/**
+ * Provider Settings - Model, temperature and reply length chosen for each provider
+ * (and the endpoint of the custom provider). Unset values fall back to the provider's
+ * default model and the defaults below.
+ */
+
+const ProviderSettings = {
+  storageKey: "provider_settings",
+  modelListKey: "provider_model_lists",
+  defaultTemperature: 0.5,
+  defaultMaxTokens: 1000,
+  maxTokensRange: { min: 100, max: 16000 },
+  listTimeoutMs: 10000,
+
+  /**
+   * Settings a provider uses until they are changed
+   * @param {string} provider - Provider id
+   * @returns {{model: string, temperature: number, maxTokens: number}} Plus the provider's own defaultSettings,
+   *   e.g. the custom provider's { baseUrl, headers, contextWindow }
+   */
+  defaults(provider) {
+    return {
+      model: AI_PROVIDERS[provider].defaultModel,
+      temperature: this.defaultTemperature,
+      maxTokens: this.defaultMaxTokens,
+      ...AI_PROVIDERS[provider].defaultSettings,
+    };
+  },
+
+  /**
+   * Settings of a provider, with defaults filled in and values kept in range
+   * @param {string} provider - Provider id
+   * @returns {Promise<{model: string, temperature: number, maxTokens: number}>} Plus any provider-specific settings
+   */
+  async get(provider) {
+    const stored = await chrome.storage.local.get([this.storageKey]);
+    const settings = { ...this.defaults(provider), ...stored[this.storageKey]?.[provider] };
+    const { min, max } = this.maxTokensRange;
+
+    return {
+      ...settings,
+      temperature: Math.min(Math.max(0, settings.temperature), AI_PROVIDERS[provider].maxTemperature),
+      maxTokens: Math.min(Math.max(min, Math.round(settings.maxTokens)), max),
+    };
+  },
+
+  /**
+   * Change some of a provider's settings
+   * @param {string} provider - Provider id
+   * @param {Object} changes - Any of { model, temperature, maxTokens } (or the provider's own settings)
+   */
+  async save(provider, changes) {
+    const stored = await chrome.storage.local.get([this.storageKey]);
+    const all = stored[this.storageKey] || {};
+    all[provider] = { ...all[provider], ...changes };
+    await chrome.storage.local.set({ [this.storageKey]: all });
+  },
+
+  /**
+   * Models to offer for a provider: the built-in list, then any fetched from its API
+   * @param {string} provider - Provider id
+   * @returns {Promise<{models: string[], fetchedAt: string|null}>} fetchedAt is when the API list was loaded
+   */
+  async listModels(provider) {
+    const stored = await chrome.storage.local.get([this.modelListKey]);
+    const fetched = stored[this.modelListKey]?.[provider];
+    const models = [...new Set([...AI_PROVIDERS[provider].models, ...(fetched?.models || []).sort()])];
+    return { models, fetchedAt: fetched?.fetchedAt || null };
+  },
+
+  /**
+   * Load the models a key has access to from the provider and remember them
+   * @param {string} provider - Provider id
+   * @param {string} [apiKey] - API key (the custom provider may need none)
+   * @returns {Promise<string[]>} Fetched model ids
+   * @throws {Object} { httpStatus, message } when the provider rejects the request, or an AbortError on timeout
+   */
+  async refreshModels(provider, apiKey) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.listTimeoutMs);
+    try {
+      const models = await AI_PROVIDERS[provider].listModels(apiKey, controller.signal, await this.get(provider));
+      const stored = await chrome.storage.local.get([this.modelListKey]);
+      const lists = stored[this.modelListKey] || {};
+      lists[provider] = { models, fetchedAt: new Date().toISOString() };
+      await chrome.storage.local.set({ [this.modelListKey]: lists });
+      return models;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.ProviderSettings = ProviderSettings;
+}
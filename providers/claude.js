@@ -6,62 +6,134 @@
 const ClaudeProvider = {
   name: "Claude (Anthropic)",
   apiEndpoint: "https://api.anthropic.com/v1/messages",
+  modelsEndpoint: "https://api.anthropic.com/v1/models",
   defaultModel: "claude-sonnet-4-6",
+  // Offered in settings before (and besides) the list fetched from the API
+  models: ["claude-haiku-4-5", "claude-sonnet-4-5", "claude-sonnet-4-6", "claude-opus-4-6"],
+  maxTemperature: 1,
   supportsMultimodal: true,
 
   /**
-   * Generate summary using Claude API (with optional image context)
+   * Check that a key is accepted and can use the configured model by looking the model up (nothing is billed)
    * @param {string} apiKey - Claude API key
-   * @param {string} content - Page content to summarize
-   * @param {string} type - Summary type (brief, detailed, technical)
-   * @param {string} title - Page title
    * @param {AbortSignal} signal - Abort signal for timeout
-   * @param {Array<{url: string, alt: string}>} images - Optional page images
-   * @returns {Promise<string>} Generated summary
+   * @param {{model: string}} settings - From ProviderSettings.get(); model is the one the key should have access to
+   * @throws {Object} { httpStatus, message } when the lookup fails
+   */
+  async verifyKey(apiKey, signal, { model }) {
+    const response = await fetch(`${this.modelsEndpoint}/${model}`, { signal, headers: this._headers(apiKey) });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      console.error(`[Claude API Error] Key check failed with HTTP ${response.status}`);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
+  },
+
+  /**
+   * Models the key can use
+   * @param {string} apiKey - Claude API key
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @returns {Promise<string[]>} Model ids
+   * @throws {Object} { httpStatus, message } when the request fails
+   */
+  async listModels(apiKey, signal) {
+    const response = await fetch(`${this.modelsEndpoint}?limit=1000`, { signal, headers: this._headers(apiKey) });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
+
+    const data = await response.json();
+    return (data.data || []).map((model) => model.id);
+  },
+
+  /**
+   * @param {string} apiKey - Claude API key
+   * @returns {Object} Headers every request sends
    */
-  async generateSummary(apiKey, content, type, title, signal, images = []) {
-    const prompts = {
-      brief: `Summarize this article in 2-3 clear sentences. Focus on the main point.`,
-      detailed: `Provide a detailed summary with key points as bullet points. Include main arguments and conclusions.`,
-      technical: `Summarize this technical documentation. Include: purpose, key concepts, important functions/methods, and usage notes.`,
+  _headers(apiKey) {
+    return {
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+      "anthropic-dangerous-direct-browser-access": "true",
     };
+  },
 
+  /**
+   * Generate summary using Claude API (with optional image context)
+   * @param {string} apiKey - Claude API key
+   * @param {string} prompt - Rendered summary prompt (see PromptTemplates), including the page content
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {Array<{url: string, alt: string}>} images - Optional page images
+   * @param {function(string, string): void} [onChunk] - When set, stream the response and call with (delta, fullText)
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - From ProviderSettings.get()
+   * @returns {Promise<{text: string, usage: Object|null}>} Generated summary and its token usage
+   */
+  async generateSummary(apiKey, prompt, signal, images = [], onChunk = null, settings) {
     const systemPrompt =
       "You are a helpful assistant that summarizes web content clearly and concisely." +
       (images.length > 0
         ? " The user has provided page images — use them to enrich your summary where relevant."
         : "");
 
-    const userPrompt = `${prompts[type]}\n\nTitle: ${title}\n\nContent:\n${content}`;
-
     // Build multimodal content if images are provided
     // Claude supports URL image sources directly
     const userContent =
       images.length > 0
         ? [
-          { type: "text", text: userPrompt },
+          { type: "text", text: prompt },
           ...images.map((img) => ({
             type: "image",
             source: { type: "url", url: img.url },
           })),
         ]
-        : userPrompt;
+        : prompt;
+
+    return this._send(apiKey, systemPrompt, [{ role: "user", content: userContent }], signal, onChunk, settings);
+  },
+
+  /**
+   * Answer a follow-up question in a multi-turn conversation
+   * @param {string} apiKey - Claude API key
+   * @param {string} systemPrompt - Instructions including the page content
+   * @param {Array<{role: string, content: string}>} messages - Conversation so far ("user"/"assistant")
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {function(string, string): void} [onChunk] - When set, stream the response and call with (delta, fullText)
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - From ProviderSettings.get()
+   * @returns {Promise<{text: string, usage: Object|null}>} Assistant reply and its token usage
+   */
+  async chat(apiKey, systemPrompt, messages, signal, onChunk = null, settings) {
+    return this._send(apiKey, systemPrompt, messages, signal, onChunk, settings);
+  },
 
+  /**
+   * Send a Messages API request and return the generated text
+   * @param {string} apiKey - Claude API key
+   * @param {string} systemPrompt - System prompt
+   * @param {Array<Object>} messages - Messages API conversation
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {function(string, string): void} [onChunk] - When set, stream the response
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - Model and sampling settings
+   * @returns {Promise<{text: string, usage: Object|null}>} Generated text and its token usage
+   *   (usage: { model, inputTokens, outputTokens }, or null if the response didn't report it)
+   */
+  async _send(apiKey, systemPrompt, messages, signal, onChunk, { model, temperature, maxTokens }) {
     const response = await fetch(this.apiEndpoint, {
       method: "POST",
       signal: signal,
       headers: {
         "Content-Type": "application/json",
-        "x-api-key": apiKey,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
+        ...this._headers(apiKey),
       },
       body: JSON.stringify({
-        model: this.defaultModel,
-        max_tokens: 1000,
-        messages: [{ role: "user", content: userContent }],
+        model,
+        max_tokens: maxTokens,
+        messages,
         system: systemPrompt,
-        temperature: 0.5,
+        temperature,
+        stream: Boolean(onChunk),
       }),
     });
 
@@ -74,7 +146,18 @@ const ClaudeProvider = {
       } catch (parseErr) {
         console.error(`[Claude API Error] HTTP ${response.status}: ${response.statusText} (non-JSON response)`);
       }
-      throw { httpStatus: response.status, message: apiErrorMessage };
+      throw {
+        httpStatus: response.status,
+        message: apiErrorMessage,
+        retryAfterMs: RetryAfter.fromResponse(response, {
+          "anthropic-ratelimit-requests-reset": RetryAfter.parseTimestamp,
+          "anthropic-ratelimit-tokens-reset": RetryAfter.parseTimestamp,
+        }),
+      };
+    }
+
+    if (onChunk) {
+      return this._readStream(response, onChunk, model);
     }
 
     const data = await response.json();
@@ -85,7 +168,56 @@ const ClaudeProvider = {
       throw { httpStatus: 500, message: "Invalid response structure from Claude" };
     }
 
-    return data.content[0].text;
+    return {
+      text: data.content[0].text,
+      usage: data.usage ? this._usage(model, data.usage.input_tokens, data.usage.output_tokens) : null,
+    };
+  },
+
+  /**
+   * Consume a streamed Messages API response (SSE) and accumulate text deltas
+   * @param {Response} response - Streaming fetch response
+   * @param {function(string, string): void} onChunk - Called with (delta, fullText) per chunk
+   * @param {string} model - Model the request was sent to
+   * @returns {Promise<{text: string, usage: Object|null}>} Full generated text and its token usage
+   */
+  async _readStream(response, onChunk, model) {
+    let text = "";
+    let inputTokens = null;
+    let outputTokens = null;
+
+    await EventStream.read(response, ({ event, json }) => {
+      // Errors can arrive mid-stream after the 200 response, e.g. overloaded_error
+      if (event === "error") {
+        const status = json?.error?.type === "overloaded_error" ? 529 : 500;
+        console.error(`[Claude API Error] Stream error: ${json?.error?.message || "unknown"}`);
+        throw { httpStatus: status, message: json?.error?.message || null };
+      }
+      // Input tokens come with message_start, the running output count with each message_delta
+      if (event === "message_start") inputTokens = json?.message?.usage?.input_tokens ?? inputTokens;
+      if (event === "message_delta") outputTokens = json?.usage?.output_tokens ?? outputTokens;
+      if (event === "content_block_delta" && json?.delta?.type === "text_delta") {
+        text += json.delta.text;
+        onChunk(json.delta.text, text);
+      }
+    });
+
+    if (!text) {
+      console.error("[Claude Invalid Response] Stream ended without any content");
+      throw { httpStatus: 500, message: "Invalid response structure from Claude" };
+    }
+
+    return { text, usage: inputTokens !== null || outputTokens !== null ? this._usage(model, inputTokens, outputTokens) : null };
+  },
+
+  /**
+   * @param {string} model - Model the request was sent to
+   * @param {number|null} inputTokens - Prompt tokens
+   * @param {number|null} outputTokens - Generated tokens
+   * @returns {{model: string, inputTokens: number, outputTokens: number}}
+   */
+  _usage(model, inputTokens, outputTokens) {
+    return { model, inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
   },
 };
 
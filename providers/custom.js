@@ -0,0 +1,169 @@
+/**
+ * Custom Provider - Any server that speaks the OpenAI chat completions protocol
+ * (Ollama, LM Studio, vLLM, a corporate gateway). Reuses OpenAIProvider with the base URL,
+ * extra headers and context window from its settings (see ProviderSettings); the API key is optional.
+ */
+
+const CustomProvider = {
+  ...OpenAIProvider,
+  name: "Custom (OpenAI-compatible)",
+  apiEndpoint: null,
+  modelsEndpoint: null,
+  // Model names depend on the server, so there is no default or built-in list
+  defaultModel: "",
+  models: [],
+  maxTemperature: 2,
+  // Whether a local model accepts images is unknown, so none are sent
+  supportsMultimodal: false,
+  requiresApiKey: false,
+
+  // Settings only this provider has, merged into ProviderSettings.get()
+  defaultSettings: {
+    baseUrl: "http://localhost:11434/v1",
+    headers: {},
+    contextWindow: 8192,
+  },
+
+  // Tokens a context window must hold besides the reply: the prompt template, and at least this much page
+  promptReserve: 500,
+  minContentTokens: 1000,
+
+  /**
+   * Smallest context window that leaves room for a reply of the given length and some page content
+   * @param {number} maxTokens - Reply length in tokens (see ProviderSettings)
+   * @returns {number}
+   */
+  minContextWindow(maxTokens) {
+    return maxTokens + this.promptReserve + this.minContentTokens;
+  },
+
+  /**
+   * Not every server can look up a single model, so the key is checked against the model list
+   * @param {string} apiKey - API key (may be empty)
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {{model: string, baseUrl: string, headers: Object}} settings - From ProviderSettings.get()
+   * @throws {Object} { httpStatus, message } when the list can't be loaded or lacks the model
+   */
+  async verifyKey(apiKey, signal, settings) {
+    const models = await this.listModels(apiKey, signal, settings);
+    // Without a model chosen yet, reaching the list is all there is to check
+    if (settings.model && !models.includes(settings.model)) {
+      console.error(`[${this.name} API Error] Model ${settings.model} is not served by ${settings.baseUrl}`);
+      throw { httpStatus: 404, message: `The endpoint doesn't serve a model named "${settings.model}"` };
+    }
+  },
+
+  /**
+   * Every model the server lists; unlike OpenAI's, the list isn't filtered
+   * @param {string} apiKey - API key (may be empty)
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {{baseUrl: string, headers: Object}} settings - From ProviderSettings.get()
+   * @returns {Promise<string[]>} Model ids
+   * @throws {Object} { httpStatus, message } when the request fails
+   */
+  async listModels(apiKey, signal, settings) {
+    const response = await fetch(this._modelsEndpoint(settings), { signal, headers: this._headers(apiKey, settings) });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
+
+    const data = await response.json();
+    return (data.data || []).map((model) => model.id);
+  },
+
+  _chatEndpoint({ baseUrl }) {
+    return `${this.normalizeBaseUrl(baseUrl)}/chat/completions`;
+  },
+
+  _modelsEndpoint({ baseUrl }) {
+    return `${this.normalizeBaseUrl(baseUrl)}/models`;
+  },
+
+  /**
+   * @param {string} apiKey - API key; local servers usually need none
+   * @param {{headers: Object}} settings - From ProviderSettings.get()
+   * @returns {Object} Extra headers, plus the key as a bearer token when there is one
+   */
+  _headers(apiKey, { headers }) {
+    return { ...headers, ...(apiKey && { Authorization: `Bearer ${apiKey}` }) };
+  },
+
+  /**
+   * Base URL without trailing slashes, accepting a pasted chat completions URL too
+   * @param {string} baseUrl - e.g. "http://localhost:11434/v1/"
+   * @returns {string} e.g. "http://localhost:11434/v1"
+   */
+  normalizeBaseUrl(baseUrl) {
+    return String(baseUrl || "")
+      .trim()
+      .replace(/\/+$/, "")
+      .replace(/\/chat\/completions$/, "");
+  },
+
+  /**
+   * Host permission pattern that covers a base URL, on any port
+   * @param {string} baseUrl - Endpoint base URL
+   * @returns {string|null} e.g. "http://localhost/*", or null if the URL isn't http(s)
+   */
+  originPattern(baseUrl) {
+    try {
+      const url = new URL(this.normalizeBaseUrl(baseUrl));
+      return /^https?:$/.test(url.protocol) ? `${url.protocol}//${url.hostname}/*` : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Ask for access to an endpoint's host, which the extension needs to call it
+   * @param {string} baseUrl - Endpoint base URL
+   * @returns {Promise<boolean>} Whether access is granted
+   */
+  async ensureAccess(baseUrl) {
+    const pattern = this.originPattern(baseUrl);
+    if (!pattern) return false;
+
+    try {
+      // Resolves right away when access was granted before
+      return await chrome.permissions.request({ origins: [pattern] });
+    } catch (err) {
+      // No user gesture (e.g. started from the shortcut or a file import); access may have been granted before
+      console.warn("Could not request endpoint access:", err);
+      return chrome.permissions.contains({ origins: [pattern] });
+    }
+  },
+
+  /**
+   * Parse extra headers written one per line as "Name: value"
+   * @param {string} text - Header lines
+   * @returns {Object<string, string>} Headers by name
+   * @throws {Error} Naming the first line that isn't a header
+   */
+  parseHeaders(text) {
+    const headers = {};
+    for (const line of String(text || "").split("\n")) {
+      if (!line.trim()) continue;
+      const match = line.match(/^\s*([!#$%&'*+.^_`|~\w-]+)\s*:\s*(.*?)\s*$/);
+      if (!match) throw new Error(`Not a header: "${line.trim()}"`);
+      headers[match[1]] = match[2];
+    }
+    return headers;
+  },
+
+  /**
+   * @param {Object<string, string>} headers - Headers by name
+   * @returns {string} One "Name: value" line per header
+   */
+  formatHeaders(headers) {
+    return Object.entries(headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join("\n");
+  },
+};
+
+// Export for use in popup.js and history.js
+if (typeof window !== "undefined") {
+  window.CustomProvider = CustomProvider;
+}
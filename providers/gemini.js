@@ -7,7 +7,11 @@ const GeminiProvider = {
   name: "Google Gemini",
   apiEndpoint: "https://generativelanguage.googleapis.com/v1beta/models",
   defaultModel: "gemini-2.5-flash",
+  // Offered in settings before (and besides) the list fetched from the API
+  models: ["gemini-2.5-flash-lite", "gemini-2.5-flash", "gemini-2.5-pro", "gemini-2.0-flash"],
+  maxTemperature: 2,
   supportsMultimodal: true,
+
   /**
    * Fetch an image URL and convert it to base64 for the Gemini inline_data format
    * @param {string} url - Image URL
@@ -34,33 +38,65 @@ const GeminiProvider = {
     }
   },
 
+  /**
+   * Check that a key is accepted and can use the configured model by looking the model up (nothing is billed)
+   * @param {string} apiKey - Gemini API key
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {{model: string}} settings - From ProviderSettings.get(); model is the one the key should have access to
+   * @throws {Object} { httpStatus, message } when the lookup fails
+   */
+  async verifyKey(apiKey, signal, { model }) {
+    const response = await fetch(`${this.apiEndpoint}/${model}?key=${apiKey}`, { signal });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      console.error(`[Gemini API Error] Key check failed with HTTP ${response.status}`);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
+  },
+
+  /**
+   * Gemini models the key can generate content with
+   * @param {string} apiKey - Gemini API key
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @returns {Promise<string[]>} Model ids (without the "models/" prefix)
+   * @throws {Object} { httpStatus, message } when the request fails
+   */
+  async listModels(apiKey, signal) {
+    const response = await fetch(`${this.apiEndpoint}?pageSize=1000&key=${apiKey}`, { signal });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
+
+    // The list also has embedding and image models, which don't support generateContent
+    const data = await response.json();
+    return (data.models || [])
+      .filter((model) => model.supportedGenerationMethods?.includes("generateContent"))
+      .map((model) => model.name.replace(/^models\//, ""))
+      .filter((id) => id.startsWith("gemini-") && !/image|tts|embedding/.test(id));
+  },
+
   /**
    * Generate summary using Google Gemini API (with optional image context)
    * @param {string} apiKey - Gemini API key
-   * @param {string} content - Page content to summarize
-   * @param {string} type - Summary type (brief, detailed, technical)
-   * @param {string} title - Page title
+   * @param {string} prompt - Rendered summary prompt (see PromptTemplates), including the page content
    * @param {AbortSignal} signal - Abort signal for timeout
    * @param {Array<{url: string, alt: string}>} images - Optional page images
-   * @returns {Promise<string>} Generated summary
+   * @param {function(string, string): void} [onChunk] - When set, stream the response and call with (delta, fullText)
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - From ProviderSettings.get()
+   * @returns {Promise<{text: string, usage: Object|null}>} Generated summary and its token usage
    */
-  async generateSummary(apiKey, content, type, title, signal, images = []) {
-    const prompts = {
-      brief: `Summarize this article in 2-3 clear sentences. Focus on the main point.`,
-      detailed: `Provide a detailed summary with key points as bullet points. Include main arguments and conclusions.`,
-      technical: `Summarize this technical documentation. Include: purpose, key concepts, important functions/methods, and usage notes.`,
-    };
-
+  async generateSummary(apiKey, prompt, signal, images = [], onChunk = null, settings) {
     const systemPrompt =
       "You are a helpful assistant that summarizes web content clearly and concisely." +
       (images.length > 0
         ? " The user has provided page images — use them to enrich your summary where relevant."
         : "");
 
-    const userPrompt = `${prompts[type]}\n\nTitle: ${title}\n\nContent:\n${content}`;
-
     // Build parts: start with the text part
-    const parts = [{ text: `${systemPrompt}\n\n${userPrompt}` }];
+    const parts = [{ text: `${systemPrompt}\n\n${prompt}` }];
 
     // Fetch and attach images as base64 inline_data
     // Cap total image payload to ~3MB to stay within Gemini limits
@@ -89,31 +125,85 @@ const GeminiProvider = {
       }
     }
 
-    const url = `${this.apiEndpoint}/${this.defaultModel}:generateContent?key=${apiKey}`;
+    return this._send(apiKey, { contents: [{ parts }] }, signal, onChunk, settings);
+  },
+
+  /**
+   * Answer a follow-up question in a multi-turn conversation
+   * @param {string} apiKey - Gemini API key
+   * @param {string} systemPrompt - Instructions including the page content
+   * @param {Array<{role: string, content: string}>} messages - Conversation so far ("user"/"assistant")
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {function(string, string): void} [onChunk] - When set, stream the response and call with (delta, fullText)
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - From ProviderSettings.get()
+   * @returns {Promise<{text: string, usage: Object|null}>} Assistant reply and its token usage
+   */
+  async chat(apiKey, systemPrompt, messages, signal, onChunk = null, settings) {
+    // Gemini calls the assistant role "model"
+    const contents = messages.map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: [{ text: message.content }],
+    }));
+
+    return this._send(
+      apiKey,
+      { systemInstruction: { parts: [{ text: systemPrompt }] }, contents },
+      signal,
+      onChunk,
+      settings,
+    );
+  },
+
+  /**
+   * Send a generateContent request and return the generated text
+   * @param {string} apiKey - Gemini API key
+   * @param {Object} request - Request body without generationConfig (contents, systemInstruction)
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {function(string, string): void} [onChunk] - When set, stream the response
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - Model and sampling settings
+   * @returns {Promise<{text: string, usage: Object|null}>} Generated text and its token usage
+   *   (usage: { model, inputTokens, outputTokens }, or null if the response didn't report it)
+   */
+  async _send(apiKey, request, signal, onChunk, { model, temperature, maxTokens }) {
+    // Streaming uses a separate method that emits one SSE event per partial response
+    const url = onChunk
+      ? `${this.apiEndpoint}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${this.apiEndpoint}/${model}:generateContent?key=${apiKey}`;
 
     const response = await fetch(url, {
       method: "POST",
       signal: signal,
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
-        contents: [{ parts }],
+        ...request,
         generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 1000,
+          temperature,
+          maxOutputTokens: maxTokens,
         },
       }),
     });
 
     if (!response.ok) {
       let apiErrorMessage = null;
+      let retryDelay = null;
       try {
         const errorData = await response.json();
         apiErrorMessage = errorData.error?.message || null;
+        // Quota errors carry a google.rpc.RetryInfo detail, e.g. { retryDelay: "32s" }
+        retryDelay = errorData.error?.details?.find((detail) => detail.retryDelay)?.retryDelay || null;
         console.error(`[Gemini API Error] HTTP ${response.status}: ${apiErrorMessage || response.statusText}`);
       } catch (parseErr) {
         console.error(`[Gemini API Error] HTTP ${response.status}: ${response.statusText} (non-JSON response)`);
       }
-      throw { httpStatus: response.status, message: apiErrorMessage };
+      throw {
+        httpStatus: response.status,
+        message: apiErrorMessage,
+        retryAfterMs: RetryAfter.fromResponse(response) ?? RetryAfter.parseDuration(retryDelay),
+      };
+    }
+
+    if (onChunk) {
+      return this._readStream(response, onChunk, model);
     }
 
     const data = await response.json();
@@ -124,7 +214,57 @@ const GeminiProvider = {
       throw { httpStatus: 500, message: "Invalid response structure from Gemini" };
     }
 
-    return data.candidates[0].content.parts[0].text;
+    return { text: data.candidates[0].content.parts[0].text, usage: this._usage(data.usageMetadata, model) };
+  },
+
+  /**
+   * Consume a streamGenerateContent response (SSE) and accumulate candidate text
+   * @param {Response} response - Streaming fetch response
+   * @param {function(string, string): void} onChunk - Called with (delta, fullText) per chunk
+   * @param {string} model - Model the request was sent to
+   * @returns {Promise<{text: string, usage: Object|null}>} Full generated text and its token usage
+   */
+  async _readStream(response, onChunk, model) {
+    let text = "";
+    let usage = null;
+
+    await EventStream.read(response, ({ json }) => {
+      if (json?.error) {
+        throw { httpStatus: json.error.code || 500, message: json.error.message || null };
+      }
+      // Every partial response carries the counts so far; the last one has the totals
+      if (json?.usageMetadata) usage = this._usage(json.usageMetadata, model);
+      const delta = (json?.candidates?.[0]?.content?.parts || [])
+        .map((part) => part.text || "")
+        .join("");
+      if (delta) {
+        text += delta;
+        onChunk(delta, text);
+      }
+    });
+
+    if (!text) {
+      console.error("[Gemini Invalid Response] Stream ended without any content");
+      throw { httpStatus: 500, message: "Invalid response structure from Gemini" };
+    }
+
+    return { text, usage };
+  },
+
+  /**
+   * Token usage from a response's usageMetadata
+   * Thinking tokens are billed as output, so they are counted with the candidates.
+   * @param {Object} [metadata] - { promptTokenCount, candidatesTokenCount, thoughtsTokenCount }
+   * @param {string} model - Model the request was sent to
+   * @returns {{model: string, inputTokens: number, outputTokens: number}|null}
+   */
+  _usage(metadata, model) {
+    if (!metadata) return null;
+    return {
+      model,
+      inputTokens: metadata.promptTokenCount || 0,
+      outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+    };
   },
 };
 
@@ -0,0 +1,249 @@
+/**
+ * Local Provider - Offline extractive summaries, computed in the extension without an API key
+ * Ranks the page's sentences with TextRank (PageRank over a TF-IDF sentence similarity graph) and
+ * returns the most central ones in page order. Nothing leaves the browser, and the same page always
+ * gives the same summary. It can't chat, translate or follow a summary type's prompt instructions.
+ */
+
+const LocalProvider = {
+  name: "Offline (extractive)",
+  defaultModel: "textrank",
+  models: ["textrank"],
+  maxTemperature: 0,
+  supportsMultimodal: false,
+  supportsChat: false,
+  requiresApiKey: false,
+  // Runs inside the extension: no network, no cost
+  isLocal: true,
+
+  /**
+   * Sentences to pick per summary type: ratio of the page's sentences, within min and max
+   * Other (custom) types get the detailed target.
+   */
+  lengthTargets: {
+    brief: { min: 2, max: 3, ratio: 0.05, bullets: false },
+    detailed: { min: 5, max: 12, ratio: 0.15, bullets: true },
+  },
+
+  // Later sentences are left out of very long pages, as the similarity graph grows quadratically
+  maxSentences: 800,
+  damping: 0.85,
+  maxIterations: 50,
+  tolerance: 1e-6,
+  // A candidate at least this similar to a sentence already picked repeats it
+  redundancyThreshold: 0.6,
+
+  stopWords: new Set(
+    (
+      "a about above after again all also am an and any are as at be because been before being below between both but by " +
+      "can could did do does doing down during each few for from further had has have having he her here hers him his how " +
+      "i if in into is it its itself just may me more most much must my no nor not now of off on once only or other our " +
+      "ours out over own same she should so some such than that the their theirs them then there these they this those " +
+      "through to too under until up us very was we were what when where which while who whom why will with would you your"
+    ).split(" "),
+  ),
+
+  /**
+   * Nothing to check: there is no key
+   */
+  async verifyKey() {},
+
+  /**
+   * @returns {Promise<string[]>} The built-in models
+   */
+  async listModels() {
+    return this.models;
+  },
+
+  /**
+   * Summarize by picking the page's most central sentences
+   * The prompt is ignored: this provider works on the content it was built from.
+   * @param {string} apiKey - Unused
+   * @param {string} prompt - Unused
+   * @param {AbortSignal} signal - Unused, as ranking runs synchronously
+   * @param {Array<{url: string, alt: string}>} images - Unused
+   * @param {function(string, string): void} [onChunk] - Called once with the whole summary
+   * @param {Object} settings - Unused
+   * @param {{content: string, type: string, title?: string}} source - Content and summary type of the prompt
+   * @returns {Promise<{text: string, usage: null}>} Summary; there is no token usage to report
+   * @throws {Object} { httpStatus, message } when the content has no sentences to pick
+   */
+  async generateSummary(apiKey, prompt, signal, images = [], onChunk = null, settings = null, source = null) {
+    const text = this.summarize(source?.content || "", source?.type, source?.title);
+    if (!text) {
+      throw { httpStatus: 422, message: "The offline summarizer found no sentences to pick from on this page." };
+    }
+
+    onChunk?.(text, text);
+    return { text, usage: null };
+  },
+
+  /**
+   * Extractive summary of Markdown content (see extractPageContent())
+   * @param {string} content - Page content
+   * @param {string} [type] - Summary type id; "brief" is a short paragraph, anything else bullet points
+   * @param {string} [title] - Page title; sentences sharing its words rank higher
+   * @returns {string} Summary, or "" if the content has no sentences
+   */
+  summarize(content, type = "detailed", title = "") {
+    const target = this.lengthTargets[type] || this.lengthTargets.detailed;
+    const sentences = this._splitSentences(content).slice(0, this.maxSentences);
+    if (sentences.length === 0) return "";
+
+    const vectors = this._vectors(sentences.map((sentence) => this._terms(sentence)));
+    const ranks = this._rank(vectors);
+
+    // Lead sentences and those about the title's subject are likelier to carry the main point
+    const titleTerms = new Set(this._terms(title));
+    const scores = ranks.map((rank, index) => {
+      const terms = [...vectors[index].keys()];
+      const titleOverlap = titleTerms.size > 0 ? terms.filter((term) => titleTerms.has(term)).length / titleTerms.size : 0;
+      return rank * (1 + 0.5 * Math.min(1, titleOverlap)) * (index < 3 ? 1.2 : 1);
+    });
+
+    const count = Math.min(
+      sentences.length,
+      Math.max(target.min, Math.min(target.max, Math.round(sentences.length * target.ratio))),
+    );
+    const byScore = sentences.map((_, index) => index).sort((a, b) => scores[b] - scores[a] || a - b);
+
+    const picked = [];
+    for (const index of byScore) {
+      if (picked.length === count) break;
+      if (picked.some((other) => this._cosine(vectors[index], vectors[other]) >= this.redundancyThreshold)) continue;
+      picked.push(index);
+    }
+
+    const inOrder = picked.sort((a, b) => a - b).map((index) => sentences[index]);
+    return target.bullets ? inOrder.map((sentence) => `- ${sentence}`).join("\n") : inOrder.join(" ");
+  },
+
+  /**
+   * Prose sentences of Markdown content, leaving out code, tables, headings and list markers
+   * @param {string} content - Page content
+   * @returns {string[]}
+   */
+  _splitSentences(content) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+    const sentences = [];
+
+    for (const block of content.replace(/```[\s\S]*?```/g, "\n\n").split(/\n\s*\n/)) {
+      const prose = block
+        .split("\n")
+        .filter((line) => !/^\s*(#{1,6}\s|\||(-{3,}|\*{3,})\s*$)/.test(line))
+        .map((line) => line.replace(/^\s*(?:[-*+]|\d+\.|>)\s+/, ""))
+        .join(" ")
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/(\*\*|__|`)/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+      for (const { segment } of segmenter.segment(prose)) {
+        const sentence = segment.trim();
+        // Fragments (captions, labels, "Read more") have too few words to stand alone
+        if (this._terms(sentence).length >= 3) sentences.push(sentence);
+      }
+    }
+    return sentences;
+  },
+
+  /**
+   * Content words of a text, lowercased, without stop words
+   * @param {string} text - Text
+   * @returns {string[]}
+   */
+  _terms(text) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+    const terms = [];
+    for (const { segment, isWordLike } of segmenter.segment(text.toLowerCase())) {
+      // Single letters and digits carry little meaning, unlike a single CJK character
+      if (isWordLike && !this.stopWords.has(segment) && (segment.length > 1 || /[^\x00-\x7f]/.test(segment))) {
+        terms.push(segment);
+      }
+    }
+    return terms;
+  },
+
+  /**
+   * Unit-length TF-IDF vectors of the sentences
+   * @param {string[][]} sentenceTerms - Terms of each sentence
+   * @returns {Array<Map<string, number>>} Weight by term, per sentence
+   */
+  _vectors(sentenceTerms) {
+    const documentFrequency = new Map();
+    sentenceTerms.forEach((terms) => {
+      new Set(terms).forEach((term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    return sentenceTerms.map((terms) => {
+      const vector = new Map();
+      terms.forEach((term) => vector.set(term, (vector.get(term) || 0) + 1));
+
+      let norm = 0;
+      for (const [term, count] of vector) {
+        const weight = count * (Math.log((sentenceTerms.length + 1) / (documentFrequency.get(term) + 1)) + 1);
+        vector.set(term, weight);
+        norm += weight * weight;
+      }
+      norm = Math.sqrt(norm);
+      for (const [term, weight] of vector) vector.set(term, weight / norm);
+      return vector;
+    });
+  },
+
+  /**
+   * Cosine similarity of two unit vectors
+   * @param {Map<string, number>} a - Vector
+   * @param {Map<string, number>} b - Vector
+   * @returns {number}
+   */
+  _cosine(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let sum = 0;
+    for (const [term, weight] of small) {
+      sum += weight * (large.get(term) || 0);
+    }
+    return sum;
+  },
+
+  /**
+   * Weighted PageRank over the sentence similarity graph
+   * @param {Array<Map<string, number>>} vectors - Sentence vectors from _vectors()
+   * @returns {number[]} Rank of each sentence
+   */
+  _rank(vectors) {
+    const n = vectors.length;
+    const edges = vectors.map(() => []);
+    const outWeight = new Array(n).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const weight = this._cosine(vectors[i], vectors[j]);
+        if (weight > 0) {
+          edges[i].push([j, weight]);
+          edges[j].push([i, weight]);
+          outWeight[i] += weight;
+          outWeight[j] += weight;
+        }
+      }
+    }
+
+    let ranks = new Array(n).fill(1 / n);
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      const next = ranks.map(
+        (_, i) =>
+          (1 - this.damping) / n +
+          this.damping * edges[i].reduce((sum, [j, weight]) => sum + (weight / outWeight[j]) * ranks[j], 0),
+      );
+      const delta = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+      ranks = next;
+      if (delta < this.tolerance) break;
+    }
+    return ranks;
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.LocalProvider = LocalProvider;
+}
@@ -0,0 +1,17 @@
+/**
+ * Provider names - Display name of every provider id
+ * Loaded by every page that names providers, so a new provider is added in one place.
+ */
+
+const PROVIDER_NAMES = {
+  openai: "OpenAI",
+  gemini: "Google Gemini",
+  claude: "Claude (Anthropic)",
+  custom: "Custom (OpenAI-compatible)",
+  local: "Offline (extractive)",
+};
+
+// Export for use in the extension pages
+if (typeof window !== "undefined") {
+  window.PROVIDER_NAMES = PROVIDER_NAMES;
+}
@@ -6,62 +6,174 @@
 const OpenAIProvider = {
   name: "OpenAI",
   apiEndpoint: "https://api.openai.com/v1/chat/completions",
+  modelsEndpoint: "https://api.openai.com/v1/models",
   defaultModel: "gpt-4o-mini",
+  // Offered in settings before (and besides) the list fetched from the API
+  models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-nano", "gpt-4.1-mini", "gpt-4.1", "gpt-5-nano", "gpt-5-mini", "gpt-5", "o4-mini"],
+  maxTemperature: 2,
   supportsMultimodal: true,
 
   /**
-   * Generate summary using OpenAI API (with optional image context)
+   * Check that a key is accepted and can use the configured model by looking the model up (nothing is billed)
    * @param {string} apiKey - OpenAI API key
-   * @param {string} content - Page content to summarize
-   * @param {string} type - Summary type (brief, detailed, technical)
-   * @param {string} title - Page title
    * @param {AbortSignal} signal - Abort signal for timeout
-   * @param {Array<{url: string, alt: string}>} images - Optional page images
-   * @returns {Promise<string>} Generated summary
+   * @param {{model: string}} settings - From ProviderSettings.get(); model is the one the key should have access to
+   * @throws {Object} { httpStatus, message } when the lookup fails
+   */
+  async verifyKey(apiKey, signal, settings) {
+    const response = await fetch(`${this._modelsEndpoint(settings)}/${settings.model}`, {
+      signal,
+      headers: this._headers(apiKey, settings),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      console.error(`[${this.name} API Error] Key check failed with HTTP ${response.status}`);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
+  },
+
+  /**
+   * Chat models the key can use
+   * @param {string} apiKey - OpenAI API key
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {Object} settings - From ProviderSettings.get()
+   * @returns {Promise<string[]>} Model ids
+   * @throws {Object} { httpStatus, message } when the request fails
    */
-  async generateSummary(apiKey, content, type, title, signal, images = []) {
-    const prompts = {
-      brief: `Summarize this article in 2-3 clear sentences. Focus on the main point.`,
-      detailed: `Provide a detailed summary with key points as bullet points. Include main arguments and conclusions.`,
-      technical: `Summarize this technical documentation. Include: purpose, key concepts, important functions/methods, and usage notes.`,
-    };
+  async listModels(apiKey, signal, settings) {
+    const response = await fetch(this._modelsEndpoint(settings), { signal, headers: this._headers(apiKey, settings) });
 
-    const textPrompt = `${prompts[type]}\n\nTitle: ${title}\n\nContent:\n${content}`;
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      throw { httpStatus: response.status, message: errorData?.error?.message || null };
+    }
 
+    // The list includes embedding, audio and image models, which can't summarize
+    const data = await response.json();
+    return (data.data || [])
+      .map((model) => model.id)
+      .filter((id) => /^(gpt-|o\d|chatgpt-)/.test(id) && !/audio|realtime|tts|transcribe|image|search|instruct/.test(id));
+  },
+
+  /**
+   * Endpoints and headers of a request; CustomProvider takes these from its settings instead
+   * @param {Object} settings - From ProviderSettings.get()
+   * @returns {string}
+   */
+  _chatEndpoint(settings) {
+    return this.apiEndpoint;
+  },
+
+  _modelsEndpoint(settings) {
+    return this.modelsEndpoint;
+  },
+
+  /**
+   * @param {string} apiKey - OpenAI API key
+   * @param {Object} settings - From ProviderSettings.get()
+   * @returns {Object} Headers every request sends
+   */
+  _headers(apiKey, settings) {
+    return { Authorization: `Bearer ${apiKey}` };
+  },
+
+  /**
+   * Reasoning models take max_completion_tokens and only their default temperature
+   * @param {string} model - Model id
+   * @returns {boolean}
+   */
+  _isReasoningModel(model) {
+    return /^(o\d|gpt-5)/.test(model);
+  },
+
+  /**
+   * Generate summary using OpenAI API (with optional image context)
+   * @param {string} apiKey - OpenAI API key
+   * @param {string} prompt - Rendered summary prompt (see PromptTemplates), including the page content
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {Array<{url: string, alt: string}>} images - Optional page images
+   * @param {function(string, string): void} [onChunk] - When set, stream the response and call with (delta, fullText)
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - From ProviderSettings.get()
+   * @returns {Promise<{text: string, usage: Object|null}>} Generated summary and its token usage
+   */
+  async generateSummary(apiKey, prompt, signal, images = [], onChunk = null, settings) {
     // Build multimodal content if images are provided
     const userContent =
       images.length > 0
         ? [
-          { type: "text", text: textPrompt },
+          { type: "text", text: prompt },
           ...images.map((img) => ({
             type: "image_url",
             image_url: { url: img.url, detail: "low" },
           })),
         ]
-        : textPrompt;
+        : prompt;
+
+    const messages = [
+      {
+        role: "system",
+        content:
+          "You are a helpful assistant that summarizes web content clearly and concisely." +
+          (images.length > 0
+            ? " The user has provided page images — use them to enrich your summary where relevant."
+            : ""),
+      },
+      { role: "user", content: userContent },
+    ];
 
-    const response = await fetch(this.apiEndpoint, {
+    return this._send(apiKey, messages, signal, onChunk, settings);
+  },
+
+  /**
+   * Answer a follow-up question in a multi-turn conversation
+   * @param {string} apiKey - OpenAI API key
+   * @param {string} systemPrompt - Instructions including the page content
+   * @param {Array<{role: string, content: string}>} messages - Conversation so far ("user"/"assistant")
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {function(string, string): void} [onChunk] - When set, stream the response and call with (delta, fullText)
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - From ProviderSettings.get()
+   * @returns {Promise<{text: string, usage: Object|null}>} Assistant reply and its token usage
+   */
+  async chat(apiKey, systemPrompt, messages, signal, onChunk = null, settings) {
+    return this._send(
+      apiKey,
+      [{ role: "system", content: systemPrompt }, ...messages],
+      signal,
+      onChunk,
+      settings,
+    );
+  },
+
+  /**
+   * Send a chat completions request and return the generated text
+   * @param {string} apiKey - OpenAI API key
+   * @param {Array<Object>} messages - Chat completions messages
+   * @param {AbortSignal} signal - Abort signal for timeout
+   * @param {function(string, string): void} [onChunk] - When set, stream the response
+   * @param {{model: string, temperature: number, maxTokens: number}} settings - Model and sampling settings
+   *   (with the endpoint details for CustomProvider)
+   * @returns {Promise<{text: string, usage: Object|null}>} Generated text and its token usage
+   *   (usage: { model, inputTokens, outputTokens }, or null if the response didn't report it)
+   */
+  async _send(apiKey, messages, signal, onChunk, settings) {
+    const { model, temperature, maxTokens } = settings;
+    const response = await fetch(this._chatEndpoint(settings), {
       method: "POST",
       signal: signal,
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
+        ...this._headers(apiKey, settings),
       },
       body: JSON.stringify({
-        model: this.defaultModel,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a helpful assistant that summarizes web content clearly and concisely." +
-              (images.length > 0
-                ? " The user has provided page images — use them to enrich your summary where relevant."
-                : ""),
-          },
-          { role: "user", content: userContent },
-        ],
-        max_tokens: 1000,
-        temperature: 0.5,
+        model,
+        messages,
+        ...(this._isReasoningModel(model)
+          ? { max_completion_tokens: maxTokens }
+          : { max_tokens: maxTokens, temperature }),
+        stream: Boolean(onChunk),
+        // Streams only report token usage in a final chunk when asked to
+        ...(onChunk && { stream_options: { include_usage: true } }),
       }),
     });
 
@@ -70,21 +182,75 @@ const OpenAIProvider = {
       try {
         const errorData = await response.json();
         apiErrorMessage = errorData.error?.message;
-        console.error(`[OpenAI API Error] HTTP ${response.status}: ${apiErrorMessage || response.statusText}`);
+        console.error(`[${this.name} API Error] HTTP ${response.status}: ${apiErrorMessage || response.statusText}`);
       } catch (parseErr) {
-        console.error(`[OpenAI API Error] HTTP ${response.status}: ${response.statusText} (non-JSON response)`);
+        console.error(`[${this.name} API Error] HTTP ${response.status}: ${response.statusText} (non-JSON response)`);
       }
-      throw { httpStatus: response.status, message: apiErrorMessage };
+      throw {
+        httpStatus: response.status,
+        message: apiErrorMessage,
+        retryAfterMs: RetryAfter.fromResponse(response, {
+          "x-ratelimit-reset-requests": RetryAfter.parseDuration,
+          "x-ratelimit-reset-tokens": RetryAfter.parseDuration,
+        }),
+      };
+    }
+
+    if (onChunk) {
+      return this._readStream(response, onChunk, model);
     }
 
     const data = await response.json();
 
     if (!data.choices?.[0]?.message?.content) {
-      console.error("[OpenAI Invalid Response]", { data });
-      throw { httpStatus: 500, message: "Invalid response structure from OpenAI" };
+      console.error(`[${this.name} Invalid Response]`, { data });
+      throw { httpStatus: 500, message: `Invalid response structure from ${this.name}` };
     }
 
-    return data.choices[0].message.content;
+    return { text: data.choices[0].message.content, usage: this._usage(data.usage, model) };
+  },
+
+  /**
+   * Consume a streamed chat completion (SSE) and accumulate the delta text
+   * @param {Response} response - Streaming fetch response
+   * @param {function(string, string): void} onChunk - Called with (delta, fullText) per chunk
+   * @param {string} model - Model the request was sent to
+   * @returns {Promise<{text: string, usage: Object|null}>} Full generated text and its token usage
+   */
+  async _readStream(response, onChunk, model) {
+    let text = "";
+    let usage = null;
+
+    await EventStream.read(response, ({ data, json }) => {
+      if (data === "[DONE]") return;
+      if (json?.error) {
+        throw { httpStatus: 500, message: json.error.message };
+      }
+      if (json?.usage) usage = this._usage(json.usage, model);
+      const delta = json?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onChunk(delta, text);
+      }
+    });
+
+    if (!text) {
+      console.error(`[${this.name} Invalid Response] Stream ended without any content`);
+      throw { httpStatus: 500, message: `Invalid response structure from ${this.name}` };
+    }
+
+    return { text, usage };
+  },
+
+  /**
+   * Token usage from a response's usage block
+   * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+   * @param {string} model - Model the request was sent to
+   * @returns {{model: string, inputTokens: number, outputTokens: number}|null}
+   */
+  _usage(usage, model) {
+    if (!usage) return null;
+    return { model, inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
   },
 };
 
@@ -0,0 +1,72 @@
+/**
+ * Retry-After parsing - Shared by providers to report how long a rate limit lasts
+ * Understands the standard Retry-After header plus the providers' own reset hints.
+ */
+
+const RetryAfter = {
+  /**
+   * Parse a Retry-After header: delay in seconds or an HTTP date
+   * @param {string|null} value - Header value
+   * @returns {number|null} Delay in ms, or null if absent/invalid
+   */
+  parseHeader(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  },
+
+  /**
+   * Parse a Go-style duration, as in OpenAI's x-ratelimit-reset-* headers and Gemini's retryDelay
+   * ("1s", "6m0s", "250ms", "1.5s")
+   * @param {string|null} value - Duration text
+   * @returns {number|null} Duration in ms, or null if absent/invalid
+   */
+  parseDuration(value) {
+    if (!value) return null;
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (parts.length === 0) return null;
+
+    return parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+  },
+
+  /**
+   * Time until an RFC 3339 timestamp, as in Anthropic's anthropic-ratelimit-*-reset headers
+   * @param {string|null} value - Timestamp
+   * @returns {number|null} Delay in ms, or null if absent/invalid
+   */
+  parseTimestamp(value) {
+    const date = value ? Date.parse(value) : NaN;
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  },
+
+  /**
+   * How long to wait before retrying a rate-limited or overloaded response
+   * Retry-After wins; otherwise the longest of the provider-specific reset hints is used.
+   * @param {Response} response - Failed fetch() response
+   * @param {Object<string, function(string): number|null>} [resetHeaders] - Provider headers and their parsers
+   * @returns {number|null} Delay in ms, or null if the response gives no hint
+   */
+  fromResponse(response, resetHeaders = {}) {
+    const retryAfter = this.parseHeader(response.headers.get("retry-after"));
+    if (retryAfter !== null) return retryAfter;
+
+    // Reset hints are sent with every response; they only say something about a rejected one
+    if (response.status !== 429) return null;
+
+    const delays = Object.entries(resetHeaders)
+      .map(([name, parse]) => parse.call(this, response.headers.get(name)))
+      .filter((delay) => delay !== null);
+    return delays.length > 0 ? Math.max(...delays) : null;
+  },
+};
+
+// Export for use in the providers
+if (typeof window !== "undefined") {
+  window.RetryAfter = RetryAfter;
+}
@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events reader - Shared by providers that stream their responses
+ * Parses a fetch() response body into individual SSE events as they arrive
+ */
+
+const EventStream = {
+  /**
+   * Read an SSE response body and invoke a callback for every complete event
+   * @param {Response} response - fetch() response with a text/event-stream body
+   * @param {function({event: string, data: string, json: Object|null}): void} onEvent - Called per event
+   * @returns {Promise<void>} Resolves once the stream has been fully consumed
+   */
+  async read(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        // Events are separated by a blank line; keep the trailing partial event buffered
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? "" : blocks.pop();
+
+        for (const block of blocks) {
+          const parsed = this._parseEvent(block);
+          if (parsed) onEvent(parsed);
+        }
+
+        if (done) return;
+      }
+    } catch (err) {
+      // Stop the underlying request if a callback rejected an event mid-stream
+      reader.cancel().catch(() => {});
+      throw err;
+    }
+  },
+
+  /**
+   * Parse a single raw SSE block into its event name and data payload
+   * @param {string} block - Raw event text (one or more "field: value" lines)
+   * @returns {{event: string, data: string, json: Object|null}|null}
+   */
+  _parseEvent(block) {
+    let event = "message";
+    const dataLines = [];
+
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith("event:")) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+
+    if (dataLines.length === 0) return null;
+
+    const data = dataLines.join("\n");
+    let json = null;
+    try {
+      json = JSON.parse(data);
+    } catch {
+      // Non-JSON payloads (e.g. OpenAI's "[DONE]" sentinel) are passed through as raw data
+    }
+    return { event, data, json };
+  },
+};
+
+// Export for use in provider modules
+if (typeof window !== "undefined") {
+  window.EventStream = EventStream;
+}
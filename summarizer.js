@@ -0,0 +1,1272 @@
+/**
+ * Summarizer - Content extraction, token limits, prompts and provider calls
+ * Shared by the popup (chat, translation) and the background service worker (summary jobs)
+ */
+
+// ============================================================================
+// TOKEN LIMIT & CONTENT TRIMMING UTILITIES
+// ============================================================================
+
+/**
+ * Count words in a text string
+ * @param {string} text - The text to count words in
+ * @returns {number} - Number of words
+ */
+function countWords(text) {
+  if (!text || typeof text !== 'string') return 0;
+  return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Check if content exceeds safe token limits for a provider's model
+ * Counts with TokenCounter; call TokenCounter.prepare(provider, model) first for tokenizer-exact counts.
+ * @param {string} content - The content to check
+ * @param {string} provider - The AI provider name
+ * @param {{model: string, maxTokens: number, contextWindow?: number}} settings - Provider settings
+ *   (see ProviderSettings.get())
+ * @returns {Object} - { isOverLimit: boolean, estimatedTokens: number, tokenSource: string (how the count was made,
+ *   e.g. "o200k_base tokenizer"), safeLimit: number, maxTokens: number, charsPerToken: number (of this content),
+ *   estimatedCost: number|null (USD, assuming a reply of settings.maxTokens; null if the model's price is unknown) }
+ */
+function checkContentLimit(content, provider, settings) {
+  const { model, maxTokens } = settings;
+  const limits = getTokenLimits(settings);
+  const { tokens: estimatedTokens, label: tokenSource } = TokenCounter.count(content, provider);
+  
+  return {
+    isOverLimit: estimatedTokens > limits.safeLimit,
+    estimatedTokens,
+    tokenSource,
+    safeLimit: limits.safeLimit,
+    maxTokens: limits.maxTokens,
+    charsPerToken: estimatedTokens > 0 ? content.length / estimatedTokens : ROUGH_CHARS_PER_TOKEN,
+    estimatedCost: UsageTracker.estimateCost(model, estimatedTokens, maxTokens),
+  };
+}
+
+/**
+ * Intelligently trim content to fit within a provider's token limit
+ * Cuts where the content's own token density says the limit falls, then tightens until it fits.
+ * @param {string} content - The content to trim
+ * @param {number} maxTokens - Maximum tokens allowed
+ * @param {string} provider - The AI provider name
+ * @returns {string} - Trimmed content
+ */
+function trimContent(content, maxTokens, provider) {
+  let tokens = TokenCounter.count(content, provider).tokens;
+  if (tokens <= maxTokens) {
+    return content;
+  }
+
+  let maxChars = content.length;
+  let trimmed = content;
+  for (let pass = 0; pass < 4 && tokens > maxTokens; pass++) {
+    // Aim slightly under, as the boundary search below only cuts further
+    maxChars = Math.floor(maxChars * (maxTokens / tokens) * 0.98);
+    trimmed = trimAtBoundary(content, maxChars);
+    tokens = TokenCounter.count(trimmed, provider).tokens;
+  }
+  return trimmed;
+}
+
+/**
+ * Trim content to a number of characters
+ * Tries to preserve complete sentences and important content
+ * @param {string} content - The content to trim
+ * @param {number} maxChars - Maximum characters allowed
+ * @returns {string} - Trimmed content
+ */
+function trimAtBoundary(content, maxChars) {
+  if (content.length <= maxChars) {
+    return content;
+  }
+  
+  // Try to trim at a sentence boundary
+  const trimmed = content.slice(0, maxChars);
+  
+  // Find the last sentence ending (., !, ? followed by space) or paragraph break
+  const lastSentenceEnd = Math.max(
+    trimmed.lastIndexOf('. '),
+    trimmed.lastIndexOf('! '),
+    trimmed.lastIndexOf('? '),
+    trimmed.lastIndexOf('\n\n')
+  );
+  
+  if (lastSentenceEnd > maxChars * 0.8) {
+    // If we found a sentence end in the last 20%, use it
+    return trimmed.slice(0, lastSentenceEnd + 1);
+  }
+  
+  // Otherwise, try to trim at a word boundary
+  const lastSpace = trimmed.lastIndexOf(' ');
+  if (lastSpace > maxChars * 0.9) {
+    return trimmed.slice(0, lastSpace);
+  }
+  
+  return trimmed;
+}
+
+/**
+ * Split content into chunks for map-reduce summarization
+ * Prefers section headings, then paragraph breaks, then sentence and word boundaries
+ * @param {string} content - The content to split
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {string[]} - Ordered list of chunks
+ * @throws {RangeError} If maxChars is below 1, which would never shorten the content
+ */
+function splitIntoChunks(content, maxChars) {
+  if (!(maxChars >= 1)) {
+    throw new RangeError(`Chunk size must be at least 1 character, got ${maxChars}`);
+  }
+
+  const chunks = [];
+  let remaining = content.trim();
+
+  while (remaining.length > maxChars) {
+    const window = remaining.slice(0, maxChars);
+    const minCut = maxChars * 0.5;
+
+    // Boundary candidates in order of preference; only accept cuts in the back half
+    const headingStarts = Array.from(window.matchAll(/\n(?=#{1,6} )/g), (match) => match.index);
+    const candidates = [
+      Math.max(-1, ...headingStarts),
+      window.lastIndexOf("\n\n"),
+      Math.max(window.lastIndexOf(". "), window.lastIndexOf("! "), window.lastIndexOf("? ")) + 1,
+      window.lastIndexOf(" "),
+    ];
+    const cut = candidates.find((index) => index > minCut) || maxChars;
+
+    chunks.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+
+  if (remaining) {
+    chunks.push(remaining);
+  }
+
+  return chunks;
+}
+
+// ============================================================================
+// ERROR HANDLING SYSTEM
+// ============================================================================
+
+
+const ERROR_TYPES = {
+  NETWORK_ERROR: "network_error",
+  UNAUTHORIZED: "unauthorized",
+  RATE_LIMIT: "rate_limit",
+  SERVER_ERROR: "server_error",
+  TIMEOUT: "timeout",
+  INVALID_RESPONSE: "invalid_response",
+  CONTENT_EXTRACTION_FAILED: "content_extraction_failed",
+  MODEL_NOT_FOUND: "model_not_found",
+  BUDGET_EXCEEDED: "budget_exceeded",
+  CONTEXT_TOO_SMALL: "context_too_small",
+  VAULT_LOCKED: "vault_locked",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Automatic retry policy for provider calls
+ * Only transient failures are retried: exponential backoff with jitter, unless the
+ * provider says how long to wait (Retry-After or its own rate-limit reset hints)
+ */
+const RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // A provider asking for a longer wait than this fails right away instead
+  maxRetryAfterMs: 60000,
+};
+
+const RETRYABLE_ERROR_TYPES = new Set([
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.SERVER_ERROR,
+  ERROR_TYPES.NETWORK_ERROR,
+  ERROR_TYPES.TIMEOUT,
+]);
+
+// Status shown while waiting to retry, by error type
+const RETRY_STATUS_LABELS = {
+  [ERROR_TYPES.RATE_LIMIT]: "⏱️ Rate-limited",
+  [ERROR_TYPES.SERVER_ERROR]: "🔧 AI service unavailable",
+  [ERROR_TYPES.NETWORK_ERROR]: "🌐 Network error",
+  [ERROR_TYPES.TIMEOUT]: "⏳ Request timed out",
+};
+
+// ============================================================================
+// PROVIDER FALLBACK
+// ============================================================================
+
+// Provider modules by id
+const AI_PROVIDERS = {
+  openai: OpenAIProvider,
+  gemini: GeminiProvider,
+  claude: ClaudeProvider,
+  custom: CustomProvider,
+  local: LocalProvider,
+};
+
+/**
+ * Whether a provider can be called without an API key (a custom endpoint, e.g. a local model, or the offline summarizer)
+ * @param {string} provider - Provider id
+ * @returns {boolean}
+ */
+function isApiKeyOptional(provider) {
+  return AI_PROVIDERS[provider]?.requiresApiKey === false;
+}
+
+/**
+ * Whether a provider call is missing the API key it needs
+ * A custom endpoint can run without a key, unless one was saved for it (and is locked away).
+ * @param {string} provider - Provider id
+ * @param {string} [apiKey] - Key loaded for it from KeyVault.getKeys()
+ * @returns {Promise<boolean>}
+ */
+async function needsApiKey(provider, apiKey) {
+  return !apiKey && (!isApiKeyOptional(provider) || (await KeyVault.listSavedKeys()).includes(provider));
+}
+
+// Errors after which the next provider in the fallback list is tried
+const FALLBACK_ERROR_TYPES = new Set([
+  ERROR_TYPES.SERVER_ERROR,
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.MODEL_NOT_FOUND,
+  ERROR_TYPES.BUDGET_EXCEEDED,
+]);
+
+// Short reason shown next to a provider that was skipped over
+const PROVIDER_FAILURE_LABELS = {
+  [ERROR_TYPES.SERVER_ERROR]: "unavailable",
+  [ERROR_TYPES.RATE_LIMIT]: "rate-limited",
+  [ERROR_TYPES.TIMEOUT]: "timed out",
+  [ERROR_TYPES.MODEL_NOT_FOUND]: "model not found",
+  [ERROR_TYPES.BUDGET_EXCEEDED]: "over budget",
+};
+
+/**
+ * The fallback setting as an ordered list of every provider
+ * Providers missing from the stored list (e.g. added in an update) are appended, disabled.
+ * @param {Array<{id: string, enabled: boolean}>} [stored] - Value of the fallback_providers setting
+ * @returns {Array<{id: string, enabled: boolean}>}
+ */
+function normalizeFallbackProviders(stored) {
+  const known = (Array.isArray(stored) ? stored : []).filter((entry) => PROVIDER_NAMES[entry?.id]);
+  const missing = Object.keys(PROVIDER_NAMES)
+    .filter((id) => !known.some((entry) => entry.id === id))
+    .map((id) => ({ id, enabled: false }));
+  return [...known.map(({ id, enabled }) => ({ id, enabled: Boolean(enabled) })), ...missing];
+}
+
+/**
+ * Providers to try for a summary: the selected one, then the enabled fallbacks that have an API key
+ * (or don't need one)
+ * @returns {Promise<Array<{provider: string, apiKey: string}>>} Primary first (its apiKey may be missing,
+ *   e.g. while the key vault is locked)
+ */
+async function loadProviderChain() {
+  const stored = await chrome.storage.local.get(["ai_provider", "fallback_providers"]);
+  const keys = await KeyVault.getKeys();
+  const primary = stored.ai_provider || "openai";
+
+  const fallbacks = normalizeFallbackProviders(stored.fallback_providers)
+    .filter(({ id, enabled }) => enabled && id !== primary && (keys[id] || isApiKeyOptional(id)))
+    .map(({ id }) => ({ provider: id, apiKey: keys[id] }));
+
+  return [{ provider: primary, apiKey: keys[primary] }, ...fallbacks];
+}
+
+/**
+ * Describe providers that failed before the one that produced a summary
+ * @param {Array<{provider: string, type: string}>} failedProviders - Failed attempts, in order
+ * @returns {string} e.g. "OpenAI (rate-limited), Google Gemini (timed out)"
+ */
+function describeFailedProviders(failedProviders) {
+  return failedProviders
+    .map(({ provider, type }) => `${PROVIDER_NAMES[provider] || provider} (${PROVIDER_FAILURE_LABELS[type] || "failed"})`)
+    .join(", ");
+}
+
+// ============================================================================
+// API KEY CHECKS
+// ============================================================================
+
+// Results of the last check of each provider's key, by provider
+const KEY_CHECKS_STORAGE_KEY = "api_key_checks";
+const KEY_CHECK_TIMEOUT_MS = 10000;
+
+const KEY_CHECK_STATUS = {
+  VALID: "valid",
+  INVALID: "invalid",
+  NO_MODEL_ACCESS: "no_model_access",
+  // The check itself failed (network, rate limit, outage), so the key may still be fine
+  UNVERIFIED: "unverified",
+};
+
+/**
+ * Check an API key with a lookup of the configured model at its provider, which costs nothing
+ * @param {string} provider - Provider id
+ * @param {string} apiKey - Key to check
+ * @returns {Promise<{status: string, model: string, checkedAt: string, detail: string|null}>}
+ *   status is one of KEY_CHECK_STATUS; detail is the provider's message or why the check failed
+ */
+async function verifyApiKey(provider, apiKey) {
+  const aiProvider = AI_PROVIDERS[provider];
+  const settings = await ProviderSettings.get(provider);
+  const { model } = settings;
+  const result = (status, detail = null) => ({
+    status,
+    model,
+    checkedAt: new Date().toISOString(),
+    detail,
+  });
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), KEY_CHECK_TIMEOUT_MS);
+  try {
+    await aiProvider.verifyKey(apiKey, controller.signal, settings);
+    return result(KEY_CHECK_STATUS.VALID);
+  } catch (err) {
+    const status = err?.httpStatus;
+    // Gemini rejects unknown keys with 400 "API key not valid" rather than 401
+    if (status === 401 || (status === 400 && /api key/i.test(err.message || ""))) {
+      return result(KEY_CHECK_STATUS.INVALID, err.message);
+    }
+    if (status === 403 || status === 404) {
+      return result(KEY_CHECK_STATUS.NO_MODEL_ACCESS, err.message);
+    }
+    if (err?.name === "AbortError") {
+      return result(KEY_CHECK_STATUS.UNVERIFIED, "timed out");
+    }
+    return result(KEY_CHECK_STATUS.UNVERIFIED, status ? `HTTP ${status}` : "network error");
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * @returns {Promise<Object<string, Object>>} Last check result (see verifyApiKey()) by provider
+ */
+async function loadKeyChecks() {
+  const stored = await chrome.storage.local.get([KEY_CHECKS_STORAGE_KEY]);
+  return stored[KEY_CHECKS_STORAGE_KEY] || {};
+}
+
+/**
+ * Store the result of checking a provider's key
+ * @param {string} provider - Provider id
+ * @param {Object} check - Result of verifyApiKey()
+ */
+async function saveKeyCheck(provider, check) {
+  const checks = await loadKeyChecks();
+  await chrome.storage.local.set({ [KEY_CHECKS_STORAGE_KEY]: { ...checks, [provider]: check } });
+}
+
+// ============================================================================
+// TOKEN LIMIT CONFIGURATION
+// ============================================================================
+
+/**
+ * Context windows (in tokens) keyed by model name prefix; the longest match wins
+ * safeLimit leaves room for the prompt template and the reply.
+ */
+const TOKEN_LIMITS = {
+  "gpt-4o": { maxTokens: 128000, safeLimit: 100000 },
+  "gpt-4.1": { maxTokens: 1047576, safeLimit: 800000 },
+  "gpt-5": { maxTokens: 400000, safeLimit: 300000 },
+  "o3": { maxTokens: 200000, safeLimit: 150000 },
+  "o4-mini": { maxTokens: 200000, safeLimit: 150000 },
+  "gemini-1.5-pro": { maxTokens: 2097152, safeLimit: 1600000 },
+  "gemini-": { maxTokens: 1048576, safeLimit: 800000 },
+  "claude-": { maxTokens: 200000, safeLimit: 150000 },
+};
+
+// Limits assumed for models not listed above
+const DEFAULT_TOKEN_LIMITS = { maxTokens: 128000, safeLimit: 100000 };
+
+// Share of a configured context window the page may fill
+const CONTEXT_WINDOW_SAFE_RATIO = 0.75;
+
+// Rough chars per token, for sizing extraction before tokens are counted
+const ROUGH_CHARS_PER_TOKEN = 4;
+
+/**
+ * Context window of a provider's model
+ * A custom endpoint's context window is configured rather than looked up; its safe limit also
+ * leaves room for the reply, as local models often have small windows.
+ * @param {{model: string, maxTokens: number, contextWindow?: number}} settings - From ProviderSettings.get()
+ * @returns {{maxTokens: number, safeLimit: number}}
+ * @throws {Object} Structured error ({ type: "context_too_small", userMessage, debugInfo }) when a configured
+ *   context window leaves no room for the page
+ */
+function getTokenLimits({ model, maxTokens, contextWindow = null }) {
+  if (contextWindow) {
+    const safeLimit = Math.min(
+      Math.floor(contextWindow * CONTEXT_WINDOW_SAFE_RATIO),
+      contextWindow - maxTokens - CustomProvider.promptReserve,
+    );
+    if (safeLimit <= 0) {
+      throw {
+        type: ERROR_TYPES.CONTEXT_TOO_SMALL,
+        userMessage:
+          `📏 A context window of ${contextWindow.toLocaleString()} tokens leaves no room for the page next to a ` +
+          `${maxTokens.toLocaleString()}-token reply. Raise it to at least ` +
+          `${CustomProvider.minContextWindow(maxTokens).toLocaleString()} tokens, or lower the reply length.`,
+        debugInfo: `contextWindow ${contextWindow}, maxTokens ${maxTokens}, safeLimit ${safeLimit}`,
+      };
+    }
+    return { maxTokens: contextWindow, safeLimit };
+  }
+
+  const prefix = Object.keys(TOKEN_LIMITS)
+    .filter((name) => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? TOKEN_LIMITS[prefix] : DEFAULT_TOKEN_LIMITS;
+}
+
+/**
+ * Maximum content length to extract (increased from 12000)
+ * This allows for larger pages while still being manageable
+ */
+const MAX_CONTENT_LENGTH = 400000;
+
+/**
+ * Idle timeout for provider calls (in ms)
+ * Reset every time a streamed chunk arrives, so long summaries are not cut off
+ */
+const IDLE_TIMEOUT_MS = 30000;
+
+/**
+ * Map-reduce settings for pages that exceed a provider's safe limit
+ * Chunks are kept well below the limit so each partial summary stays detailed
+ */
+const CHUNK_TOKEN_TARGET = 30000;
+const MAX_CHUNKED_CONTENT_LENGTH = 1200000;
+
+/**
+ * Maximum page content (in characters) sent with follow-up questions
+ * Also stored with the history entry so a conversation can be resumed later
+ */
+const CHAT_CONTEXT_MAX_CHARS = 200000;
+
+
+
+/**
+ * User-friendly error messages (no technical jargon or raw API errors)
+ */
+const USER_MESSAGES = {
+  network_error: "🌐 Network error: Please check your internet connection.",
+  unauthorized:
+    "🔑 Invalid API key. Please update your API key in the extension settings.",
+  forbidden:
+    "🚫 Request blocked by the AI provider. Check provider requirements and account permissions.",
+  bad_request:
+    "⚠️ Request rejected by AI service. Check model name, account access, or request format.",
+  rate_limit:
+    "⏱️ Rate limited: Too many requests. Please try again in a few moments.",
+  server_error:
+    "🔧 AI service temporarily unavailable. Please try again later.",
+  timeout: "⏳ Request timed out. Please try again.",
+  invalid_response: "⚠️ Unexpected response from AI service. Please try again.",
+  content_extraction_failed:
+    "Could not extract content from this page. Try a different page.",
+  selection_empty:
+    "✂️ No text selected. Highlight the part of the page you want summarized and try again.",
+  pdf_extraction_failed:
+    "📄 Could not read this PDF. It may be protected, or the download was blocked.",
+  pdf_no_text:
+    "📄 This PDF has no selectable text (it may be a scanned document), so it can't be summarized.",
+  pdf_file_access:
+    "📄 To summarize local PDFs, turn on \"Allow access to file URLs\" for DashSummarize in chrome://extensions.",
+  no_eligible_tabs:
+    "🗂️ No tabs in this window can be summarized. Open some websites (not browser or extension pages) and try again.",
+  unknown: "❌ An unexpected error occurred. Please try again.",
+};
+
+/**
+ * Classify errors into types and return user-friendly message + debug info
+ * @param {Error} error - The caught error
+ * @param {number} httpStatus - HTTP status code (if available)
+ * @returns {Object} {type, userMessage, debugInfo}
+ */
+function classifyError(error, httpStatus = null) {
+  const errorMessage = (error?.message || "").toLowerCase();
+
+  if (
+    errorMessage.includes("dangerous-direct-browser-access") ||
+    errorMessage.includes("browser")
+  ) {
+    return {
+      type: ERROR_TYPES.UNAUTHORIZED,
+      userMessage:
+        "⚠️ Claude browser request blocked. The extension must send Anthropic's browser-access header.",
+      debugInfo: error?.message || "Browser access restriction",
+    };
+  }
+
+  // Network/fetch errors (TypeError)
+  if (error instanceof TypeError) {
+    if (
+      error.message.includes("Failed to fetch") ||
+      error.message.includes("fetch")
+    ) {
+      return {
+        type: ERROR_TYPES.NETWORK_ERROR,
+        userMessage: USER_MESSAGES.network_error,
+        debugInfo: error.message,
+      };
+    }
+  }
+
+  // Timeout (AbortError)
+  if (error?.name === "AbortError") {
+    return {
+      type: ERROR_TYPES.TIMEOUT,
+      userMessage: USER_MESSAGES.timeout,
+      debugInfo: "Request aborted due to timeout",
+    };
+  }
+
+  // HTTP status errors
+  if (httpStatus) {
+    if (httpStatus === 400) {
+      return {
+        type: ERROR_TYPES.INVALID_RESPONSE,
+        userMessage: USER_MESSAGES.bad_request,
+        debugInfo: `HTTP 400: Bad request`,
+      };
+    }
+    if (httpStatus === 401) {
+      return {
+        type: ERROR_TYPES.UNAUTHORIZED,
+        userMessage: USER_MESSAGES.unauthorized,
+        debugInfo: `HTTP ${httpStatus}: Unauthorized / Bad API key`,
+      };
+    }
+    if (httpStatus === 403) {
+      return {
+        type: ERROR_TYPES.UNAUTHORIZED,
+        userMessage: USER_MESSAGES.forbidden,
+        debugInfo: `HTTP 403: Forbidden`,
+      };
+    }
+    if (httpStatus === 429) {
+      return {
+        type: ERROR_TYPES.RATE_LIMIT,
+        userMessage: USER_MESSAGES.rate_limit,
+        debugInfo: `HTTP 429: Rate limit exceeded`,
+      };
+    }
+    if (httpStatus === 404) {
+      return {
+        type: ERROR_TYPES.MODEL_NOT_FOUND,
+        userMessage: "🔍 AI model not found. The selected model may not be available for your API key.",
+        debugInfo: `HTTP 404: Model not found`,
+      };
+    }
+    if (httpStatus >= 500) {
+      return {
+        type: ERROR_TYPES.SERVER_ERROR,
+        userMessage: USER_MESSAGES.server_error,
+        debugInfo: `HTTP ${httpStatus}: Server error`,
+      };
+    }
+  }
+
+  // Unknown errors
+  return {
+    type: ERROR_TYPES.UNKNOWN,
+    userMessage: USER_MESSAGES.unknown,
+    debugInfo: error?.message || "Unknown error occurred",
+  };
+}
+
+// ============================================================================
+// CONTENT EXTRACTION
+// ============================================================================
+
+/**
+ * Extract the main readable content from the current page as Markdown
+ * Runs inside the page via chrome.scripting.executeScript, so it must stay self-contained.
+ * Scores candidate containers by paragraph count, text density and link density
+ * (Readability-style), then converts the winner to Markdown (headings, lists, tables,
+ * fenced code) while skipping nav/aside/footer, hidden elements and other boilerplate.
+ * In selection mode only the user's current selection is converted, as-is.
+ * @param {number} maxLength - Maximum number of characters to return
+ * @param {boolean} excludeCodeBlocks - Drop pre/code elements instead of fencing them
+ * @param {boolean} selectionOnly - Convert window.getSelection() instead of the main content
+ * @returns {{text: string, images: Array<{url: string, alt: string}>, extraction: Object, language: string, contentType: string}}
+ */
+function extractPageContent(maxLength, excludeCodeBlocks = false, selectionOnly = false) {
+  const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|blog|story|doc|markdown|prose/i;
+  const NEGATIVE_HINTS =
+    /comment|footer|footnote|masthead|meta|nav|related|share|sidebar|sponsor|social|promo|banner|cookie|consent|newsletter|subscribe|breadcrumb|advert|popup|modal/i;
+  const SKIP_TAGS = new Set([
+    "NAV", "ASIDE", "FOOTER", "FORM", "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE",
+    "IFRAME", "SVG", "CANVAS", "BUTTON", "SELECT", "INPUT", "TEXTAREA", "DIALOG",
+  ]);
+  const SKIP_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alertdialog|search|menu|menubar)$/;
+  const BLOCK_TAGS = new Set([
+    "DIV", "SECTION", "ARTICLE", "MAIN", "HEADER", "LI", "DL", "DT", "DD", "TR", "FIGURE", "FIGCAPTION", "DETAILS", "SUMMARY",
+  ]);
+
+  const classAndId = (el) => `${typeof el.className === "string" ? el.className : ""} ${el.id || ""}`;
+
+  const linkDensity = (el) => {
+    const textLength = el.textContent.length || 1;
+    let linkLength = 0;
+    el.querySelectorAll("a").forEach((a) => (linkLength += a.textContent.length));
+    return linkLength / textLength;
+  };
+
+  const isHidden = (el) =>
+    el.hidden ||
+    el.getAttribute("aria-hidden") === "true" ||
+    // Detached nodes (a cloned selection) have no layout, so only their attributes can tell
+    (el.isConnected &&
+      typeof el.checkVisibility === "function" &&
+      !el.checkVisibility({ visibilityProperty: true }));
+
+  // Elements that never carry article content, wherever they appear
+  const isBoilerplate = (el) => {
+    if (SKIP_TAGS.has(el.tagName)) return true;
+    if (SKIP_ROLES.test(el.getAttribute("role") || "")) return true;
+    if (isHidden(el)) return true;
+
+    const hints = classAndId(el);
+    if (NEGATIVE_HINTS.test(hints) && !POSITIVE_HINTS.test(hints)) return true;
+
+    // Link lists ("related posts", tag clouds, pagers) are mostly anchors with little prose
+    if (["DIV", "SECTION", "UL", "OL"].includes(el.tagName)) {
+      const textLength = el.textContent.trim().length;
+      if (textLength < 300 && linkDensity(el) > 0.5) return true;
+    }
+    return false;
+  };
+
+  // 1. Score candidate containers from the paragraphs they hold
+  const scores = new Map();
+  const initialScore = (el) => {
+    let score = 0;
+    switch (el.tagName) {
+      case "ARTICLE": score += 10; break;
+      case "MAIN": case "DIV": case "SECTION": score += 5; break;
+      case "PRE": case "TD": case "BLOCKQUOTE": score += 3; break;
+      case "OL": case "UL": case "DL": case "DD": case "DT": case "LI": case "FORM": score -= 3; break;
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6": case "TH": score -= 5; break;
+    }
+    const hints = classAndId(el);
+    if (POSITIVE_HINTS.test(hints)) score += 25;
+    if (NEGATIVE_HINTS.test(hints)) score -= 25;
+    return score;
+  };
+
+  document.querySelectorAll("p, pre, td, li, blockquote").forEach((paragraph) => {
+    const text = paragraph.innerText.trim();
+    if (text.length < 25) return;
+
+    const paragraphScore = 1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+    const ancestors = [paragraph.parentElement, paragraph.parentElement?.parentElement];
+
+    ancestors.forEach((ancestor, level) => {
+      if (!ancestor || ancestor === document.documentElement) return;
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + paragraphScore / (level + 1));
+    });
+  });
+
+  let root = document.body;
+  let rootScore = 0;
+  scores.forEach((score, el) => {
+    // Penalize candidates that are mostly links (menus, indexes)
+    const finalScore = score * (1 - linkDensity(el));
+    if (finalScore > rootScore) {
+      root = el;
+      rootScore = finalScore;
+    }
+  });
+
+  // The user picked the text themselves, so convert the selected fragment instead of the winner
+  const selection = selectionOnly ? window.getSelection() : null;
+  if (selection) {
+    root = document.createElement("div");
+    for (let i = 0; i < selection.rangeCount; i++) {
+      root.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+    rootScore = 0;
+  }
+
+  // 2. Convert the chosen node to Markdown, dropping boilerplate subtrees
+  const INDENT = "\u0001"; // List nesting marker, expanded to spaces after whitespace cleanup
+  const CODE = "\u0002"; // Fenced blocks are swapped out so cleanup cannot touch their whitespace
+  const codeBlocks = [];
+  let removedElements = 0;
+  let removedCodeBlocks = 0;
+
+  const codeLanguage = (pre) => {
+    for (const el of [pre.querySelector("code"), pre, pre.parentElement]) {
+      if (!el) continue;
+      const attr = el.getAttribute("data-lang") || el.getAttribute("data-language");
+      if (attr) return attr.toLowerCase();
+      const match = classAndId(el).match(/(?:language|lang|highlight-source|highlight)-([\w+#-]+)/i);
+      if (match) return match[1].toLowerCase();
+    }
+    return "";
+  };
+
+  const inline = (text) => text.replace(/\s+/g, " ").trim();
+  const wrap = (node, marker) => {
+    const text = inline(renderChildren(node));
+    return text ? `${marker}${text}${marker}` : "";
+  };
+
+  const renderList = (list) => {
+    const ordered = list.tagName === "OL";
+    let index = Number(list.getAttribute("start")) || 1;
+
+    return Array.from(list.children)
+      .filter((item) => item.tagName === "LI" && !isHidden(item))
+      .map((item) => {
+        const marker = ordered ? `${index++}.` : "-";
+        const lines = renderChildren(item).split("\n").map((line) => line.trim()).filter(Boolean);
+        if (lines.length === 0) return "";
+        return [`${marker} ${lines[0]}`, ...lines.slice(1).map((line) => INDENT + line)].join("\n");
+      })
+      .filter(Boolean)
+      .join("\n");
+  };
+
+  const renderTable = (table) => {
+    const rows = Array.from(table.rows, (row) =>
+      Array.from(row.cells, (cell) => inline(renderChildren(cell)).replace(/\|/g, "\\|")),
+    ).filter((cells) => cells.length > 0);
+    if (rows.length === 0) return "";
+
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    return [line(rows[0]), line(new Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+  };
+
+  const renderChildren = (node) => Array.from(node.childNodes, render).join("");
+
+  const render = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, " ");
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    // Everything in a selection was chosen on purpose, so only drop non-content tags there
+    const skip = selection ? /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(node.tagName) : isBoilerplate(node);
+    if (node !== root && skip) {
+      removedElements++;
+      return "";
+    }
+
+    const tag = node.tagName;
+    if (excludeCodeBlocks && (tag === "PRE" || tag === "CODE")) {
+      removedCodeBlocks++;
+      return "";
+    }
+
+    switch (tag) {
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6": {
+        const text = inline(renderChildren(node));
+        return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+      }
+      case "PRE":
+        codeBlocks.push("```" + codeLanguage(node) + "\n" + node.textContent.replace(/\n+$/, "") + "\n```");
+        return `\n\n${CODE}${codeBlocks.length - 1}${CODE}\n\n`;
+      case "CODE": {
+        const text = inline(node.textContent);
+        return text ? `\`${text}\`` : "";
+      }
+      case "STRONG": case "B":
+        return wrap(node, "**");
+      case "EM": case "I":
+        return wrap(node, "_");
+      case "UL": case "OL":
+        return `\n\n${renderList(node)}\n\n`;
+      case "TABLE":
+        return `\n\n${renderTable(node)}\n\n`;
+      case "BLOCKQUOTE": {
+        const lines = renderChildren(node).split("\n").map((line) => line.trim()).filter(Boolean);
+        return `\n\n${lines.map((line) => `> ${line}`).join("\n")}\n\n`;
+      }
+      case "BR":
+        return "\n";
+      case "HR":
+        return "\n\n---\n\n";
+      case "P":
+        return `\n\n${renderChildren(node)}\n\n`;
+      default:
+        return BLOCK_TAGS.has(tag) ? `\n${renderChildren(node)}\n` : renderChildren(node);
+    }
+  };
+
+  const content = render(root)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/\u0001/g, "  ")
+    .replace(/\u0002(\d+)\u0002/g, (_, index) => codeBlocks[Number(index)])
+    .trim();
+
+  // Extract meaningful content images from the chosen node:
+  // - Minimum 200x200px to filter out icons, avatars, and ads
+  // - HTTPS only, max 2 images to keep API payload manageable
+  // (for a selection, the page's own images inside it, since clones have no loaded size)
+  let imgPool = selection
+    ? Array.from(document.images).filter((img) => selection.containsNode(img, true))
+    : Array.from(root.querySelectorAll("img"));
+  if (imgPool.length === 0 && !selection) {
+    imgPool = Array.from(document.querySelectorAll("img"));
+  }
+
+  const images = imgPool
+    .filter((img) => {
+      const src = img.src || "";
+      return (
+        src.startsWith("https://") &&
+        img.naturalWidth > 200 &&
+        img.naturalHeight > 200
+      );
+    })
+    .slice(0, 2)
+    .map((img) => ({ url: img.src, alt: img.alt || "" }));
+
+  // Report which node won and how much was thrown away, for debugging bad summaries
+  const describe = (el) =>
+    el.tagName.toLowerCase() +
+    (el.id ? `#${el.id}` : "") +
+    (typeof el.className === "string" && el.className.trim()
+      ? `.${el.className.trim().split(/\s+/).slice(0, 2).join(".")}`
+      : "");
+  const pageChars = document.body.innerText.replace(/\s+/g, " ").trim().length;
+  const keptChars = content.replace(/\s+/g, " ").length;
+
+  const extraction = {
+    node: selection ? "selection" : describe(root),
+    score: Math.round(rootScore),
+    pageChars,
+    keptChars,
+    discardedChars: Math.max(0, pageChars - keptChars),
+    removedElements,
+    removedCodeBlocks,
+  };
+
+  // Return full content for client-side trimming based on provider limits
+  // The content will be intelligently trimmed in summarizePage() if needed
+  // Declared page language (e.g. "de", "ja-JP"), used when the output language is "same as page"
+  const language = (document.documentElement.lang || "").trim();
+
+  // Chrome's PDF viewer has no readable DOM; the caller extracts the document itself instead
+  const contentType = document.contentType;
+
+  return { text: content.slice(0, maxLength), images, extraction, language, contentType };
+}
+
+/**
+ * Whether a URL points at a PDF by its file extension
+ * @param {string} [url] - Tab URL
+ * @returns {boolean}
+ */
+function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith(".pdf");
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// SUMMARY GENERATION
+// ============================================================================
+
+/**
+ * Look up a summary type, falling back to the "detailed" type if it has since been deleted
+ * @param {Array<Object>} types - Summary types from PromptTemplates.loadTypes()
+ * @param {string} typeId - Summary type id
+ * @returns {{id: string, name: string, template: string}} Summary type
+ */
+function findSummaryType(types, typeId) {
+  return types.find((t) => t.id === typeId) || types.find((t) => t.id === "detailed") || types[0];
+}
+
+/**
+ * Render the prompt for a summary type with the page's variables
+ * Falls back to the "detailed" type if the requested one has since been deleted
+ * @param {Array<Object>} types - Summary types from PromptTemplates.loadTypes()
+ * @param {string} typeId - Summary type id
+ * @param {{title: string, url: string, content: string, language?: string, note?: string}} page - Page variables;
+ *   `note` is an extra instruction about the content (e.g. PDF page markers) placed before the prompt
+ * @returns {string} Rendered prompt
+ */
+function buildSummaryPrompt(types, typeId, page) {
+  const type = findSummaryType(types, typeId);
+  const prompt = PromptTemplates.render(type.template, {
+    title: page.title || "Untitled Page",
+    url: page.url || "",
+    content: page.content,
+    language: page.language || "the same language as the page content",
+  });
+  return page.note ? `${page.note}\n\n${prompt}` : prompt;
+}
+
+/**
+ * Get the English display name of a language code
+ * @param {string} code - BCP 47 language code (e.g. "de", "ja-JP")
+ * @returns {string} Language name, or the code itself if unknown
+ */
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Resolve the output language setting against the page's declared language
+ * @param {string} setting - Output language setting ("same" or a language code)
+ * @param {string} pageLanguage - Language from <html lang>, may be empty
+ * @returns {{code: string, name: string|null}} Resolved code and display name (null name = unknown)
+ */
+function resolveOutputLanguage(setting, pageLanguage) {
+  const code = setting && setting !== "same" ? setting : pageLanguage;
+  return code ? { code, name: languageName(code) } : { code: "", name: null };
+}
+
+/**
+ * Generate summary with comprehensive error handling, timeout, and proper validation
+ * Routes to the appropriate AI provider
+ * @param {string} prompt - Rendered summary prompt from buildSummaryPrompt()
+ * @param {function(string): void} [onChunk] - When set, the provider streams and this is called with the text so far
+ * @param {function(Object|null): void} [onRetry] - Retry status, see runProviderRequest()
+ * @param {{content: string, type: string, title: string}} [source] - What the prompt was built from, for providers
+ *   that work on the content itself (LocalProvider)
+ * @returns {Promise<{text: string, usage: Object|null, model: string}>} Summary, its usage record (see UsageTracker)
+ *   and the model that wrote it
+ * @throws {Error} Throws user-friendly error messages
+ */
+async function generateSummary(provider, apiKey, prompt, images = [], onChunk = null, onRetry = null, source = null) {
+  const result = await runProviderRequest(
+    provider,
+    (aiProvider, signal, handleChunk, settings) =>
+      aiProvider.generateSummary(
+        apiKey,
+        prompt,
+        signal,
+        // Only pass images if provider supports multimodal
+        aiProvider.supportsMultimodal ? images : [],
+        handleChunk,
+        settings,
+        source,
+      ),
+    onChunk,
+    onRetry,
+    prompt,
+  );
+
+  // Images are billed as input tokens too, so only text-only prompts say how good the estimate was
+  if (images.length === 0 && result.usage) {
+    await TokenCounter.calibrate(provider, prompt, result.usage.inputTokens);
+  }
+  return result;
+}
+
+/**
+ * Run a provider call with the shared idle timeout, error classification and retry policy
+ * Transient failures (see RETRYABLE_ERROR_TYPES) are retried up to RETRY_POLICY.maxAttempts times.
+ * @param {string} provider - Provider id (see AI_PROVIDERS)
+ * @param {function(Object, AbortSignal, function|null, Object): Promise<Object>} request - Performs the provider call
+ *   with the provider's settings (see ProviderSettings.get())
+ * @param {function(string): void} [onChunk] - When set, the provider streams and this is called with the text so far
+ * @param {function(Object|null): void} [onRetry] - Called with { type, attempt, maxAttempts, delayMs, retryAt }
+ *   before waiting to retry, and with null once the next attempt starts
+ * @param {string} [promptText] - Text the request sends, to check its estimated cost against the provider's budget
+ * @returns {Promise<{text: string, usage: Object|null, model: string}>} Provider output, its usage record
+ *   (see UsageTracker) and the model used
+ * @throws {Error} Throws user-friendly error messages
+ */
+async function runProviderRequest(provider, request, onChunk = null, onRetry = null, promptText = "") {
+  const aiProvider = AI_PROVIDERS[provider];
+  if (!aiProvider) {
+    throw {
+      type: ERROR_TYPES.UNKNOWN,
+      userMessage: `Unknown AI provider: ${provider}`,
+      debugInfo: `Provider ${provider} not found`,
+    };
+  }
+
+  const settings = await ProviderSettings.get(provider);
+
+  // Hard cap: nothing is sent that could take the provider over budget, assuming a full-length reply
+  const estimatedCost = promptText
+    ? UsageTracker.estimateCost(settings.model, TokenCounter.count(promptText, provider).tokens, settings.maxTokens)
+    : null;
+  const reserved = await Budgets.reserve(provider, estimatedCost);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await attemptProviderRequest(aiProvider, request, onChunk, settings);
+      const usage = UsageTracker.createRecord(provider, result.usage);
+      await Budgets.settle(provider, reserved, usage?.cost);
+      return { text: result.text, usage, model: settings.model };
+    } catch (errorInfo) {
+      const delayMs = getRetryDelay(errorInfo, attempt);
+      if (delayMs === null) {
+        await Budgets.settle(provider, reserved, null);
+        throw errorInfo;
+      }
+
+      console.warn(
+        `[Retry] ${errorInfo.type} on attempt ${attempt} of ${RETRY_POLICY.maxAttempts}, retrying in ${delayMs}ms`,
+      );
+      onRetry?.({
+        type: errorInfo.type,
+        attempt: attempt + 1,
+        maxAttempts: RETRY_POLICY.maxAttempts,
+        delayMs,
+        retryAt: Date.now() + delayMs,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      onRetry?.(null);
+    }
+  }
+}
+
+/**
+ * How long to wait before retrying a failed provider call
+ * @param {Object} errorInfo - Classified error from attemptProviderRequest()
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number|null} Delay in ms, or null if the error should not be retried
+ */
+function getRetryDelay(errorInfo, attempt) {
+  if (attempt >= RETRY_POLICY.maxAttempts || !RETRYABLE_ERROR_TYPES.has(errorInfo?.type)) {
+    return null;
+  }
+
+  // Honor the provider's own wait, plus a little jitter so parallel requests don't retry in lockstep
+  if (errorInfo.retryAfterMs != null) {
+    if (errorInfo.retryAfterMs > RETRY_POLICY.maxRetryAfterMs) return null;
+    return Math.round(errorInfo.retryAfterMs + Math.random() * 500);
+  }
+
+  // Exponential backoff with jitter: between half and all of base * 2^(attempt - 1)
+  const backoff = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Format the "retrying in 8s…" status of a pending retry
+ * @param {Object} retry - Retry details passed to onRetry
+ * @returns {string}
+ */
+function formatRetryStatus(retry) {
+  const seconds = Math.max(0, Math.ceil((retry.retryAt - Date.now()) / 1000));
+  const label = RETRY_STATUS_LABELS[retry.type] || "⚠️ Request failed";
+  return `${label}, retrying in ${seconds}s… (attempt ${retry.attempt} of ${retry.maxAttempts})`;
+}
+
+/**
+ * Make a single provider call with the idle timeout, classifying any failure
+ * @param {Object} aiProvider - Provider module
+ * @param {function(Object, AbortSignal, function|null, Object): Promise<Object>} request - Performs the provider call
+ * @param {function(string): void} [onChunk] - Streaming handler
+ * @param {Object} settings - Provider settings passed on to request
+ * @returns {Promise<{text: string, usage: Object|null}>} Provider output
+ * @throws {Object} Classified error ({ type, userMessage, debugInfo, retryAfterMs? })
+ */
+async function attemptProviderRequest(aiProvider, request, onChunk, settings) {
+  // Setup idle timeout: abort if nothing arrives for IDLE_TIMEOUT_MS
+  const controller = new AbortController();
+  let timeoutId = setTimeout(() => controller.abort(), IDLE_TIMEOUT_MS);
+
+  // Every streamed chunk proves the provider is still working, so restart the idle timer
+  const handleChunk = onChunk
+    ? (delta, fullText) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), IDLE_TIMEOUT_MS);
+      onChunk(fullText);
+    }
+    : null;
+
+  try {
+    return await request(aiProvider, controller.signal, handleChunk, settings);
+  } catch (error) {
+    // Handle timeout (AbortError)
+    if (error?.name === "AbortError") {
+      console.error("[Timeout Error]", `No response from provider for ${IDLE_TIMEOUT_MS / 1000} seconds`);
+      const errorInfo = classifyError(error, null);
+      throw errorInfo;
+    }
+
+    // Handle network errors (TypeError from fetch)
+    if (error instanceof TypeError) {
+      const errorInfo = classifyError(error, null);
+      console.error("[Network Error]", errorInfo.debugInfo);
+      throw errorInfo;
+    }
+
+    // Handle HTTP status errors from providers
+    if (error.httpStatus) {
+      const errorInfo = classifyError(
+        new Error(error.message || `HTTP ${error.httpStatus}`),
+        error.httpStatus,
+      );
+      // If the provider gave us a specific message, surface it to the user
+      if (error.message && errorInfo.type === ERROR_TYPES.UNKNOWN) {
+        errorInfo.userMessage = `❌ ${error.message}`;
+      }
+      errorInfo.retryAfterMs = error.retryAfterMs ?? null;
+      console.error(`[Provider Error] HTTP ${error.httpStatus}: ${error.message || "(no message)"}`);
+      throw errorInfo;
+    }
+
+    // Handle other errors
+    const errorInfo = classifyError(error, null);
+    console.error("[Generation Error]", errorInfo);
+    throw errorInfo;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Map-reduce summarization for content that exceeds the provider's safe limit
+ * Summarizes each chunk in order, then combines the partial summaries in a final pass. When the
+ * partials together still exceed the limit (very long pages, small context windows), they are first
+ * summarized in groups that fit, as often as needed.
+ * @param {string[]} chunks - Content chunks from splitIntoChunks()
+ * @param {Array<Object>} types - Summary types from PromptTemplates.loadTypes()
+ * @param {{title: string, url: string}} page - Page variables for the prompt templates
+ * @param {function(string): void} [onChunk] - Streaming handler, used for the final pass only
+ * @param {function(number, number, string): void} [onProgress] - Called with (current, total, stage), stage being
+ *   'chunk', 'reduce' (a group of partials), 'combine' or 'done'
+ * @param {function(Object|null): void} [onRetry] - Retry status, see runProviderRequest()
+ * @returns {Promise<{text: string, usage: Object|null, model: string}>} Final combined summary, the usage of every pass
+ *   and the model that wrote it
+ * @throws {Error} Throws user-friendly error messages (from generateSummary)
+ */
+async function summarizeInChunks(provider, apiKey, chunks, types, type, page, images = [], onChunk = null, onProgress = null, onRetry = null) {
+  // Brief partials would lose too much detail before the combine pass
+  const partialType = type === "brief" ? "detailed" : type;
+  const usage = [];
+
+  const summarizePart = async (content, title) => {
+    const partial = await generateSummary(
+      provider,
+      apiKey,
+      buildSummaryPrompt(types, partialType, { ...page, title, content }),
+      [],
+      null,
+      onRetry,
+      { content, type: partialType, title },
+    );
+    usage.push(partial.usage);
+    return partial.text;
+  };
+
+  let partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress?.(i + 1, chunks.length, "chunk");
+    partials.push(await summarizePart(chunks[i], `${page.title} (part ${i + 1} of ${chunks.length})`));
+  }
+
+  const { safeLimit } = getTokenLimits(await ProviderSettings.get(provider));
+  const fits = (group) => TokenCounter.count(joinPartials(group), provider).tokens <= safeLimit;
+
+  while (partials.length > 1 && !fits(partials)) {
+    let groups = groupPartials(partials, fits);
+    if (groups.length === partials.length) {
+      // No two partials fit together: shorten them so that pairs do
+      const shortened = partials.map((partial) => trimContent(partial, Math.floor(safeLimit / 2), provider));
+      groups = [];
+      for (let i = 0; i < shortened.length; i += 2) groups.push(shortened.slice(i, i + 2));
+    }
+
+    const reduced = [];
+    for (let i = 0; i < groups.length; i++) {
+      onProgress?.(i + 1, groups.length, "reduce");
+      reduced.push(
+        groups[i].length === 1
+          ? groups[i][0]
+          : await summarizePart(joinPartials(groups[i]), `${page.title} (summaries, group ${i + 1} of ${groups.length})`),
+      );
+    }
+    partials = reduced;
+  }
+
+  onProgress?.(partials.length, partials.length, "combine");
+
+  const combined = fits(partials) ? joinPartials(partials) : trimContent(joinPartials(partials), safeLimit, provider);
+  const result = await generateSummary(
+    provider,
+    apiKey,
+    buildSummaryPrompt(types, type, { ...page, content: combined }),
+    images,
+    onChunk,
+    onRetry,
+    { content: combined, type, title: page.title },
+  );
+  onProgress?.(chunks.length, chunks.length, "done");
+  return { text: result.text, usage: UsageTracker.combine([...usage, result.usage]), model: result.model };
+}
+
+/**
+ * Content of a combine prompt: the partial summaries under numbered headings
+ * @param {string[]} partials - Partial summaries, in page order
+ * @returns {string}
+ */
+function joinPartials(partials) {
+  return partials.map((partial, i) => `## Part ${i + 1} of ${partials.length}\n\n${partial}`).join("\n\n");
+}
+
+/**
+ * Split partial summaries, in order, into runs that fit one prompt
+ * @param {string[]} partials - Partial summaries
+ * @param {function(string[]): boolean} fits - Whether a run fits
+ * @returns {string[][]} Runs; a partial that fits with none of its neighbours is on its own
+ */
+function groupPartials(partials, fits) {
+  const groups = [];
+  for (const partial of partials) {
+    const last = groups[groups.length - 1];
+    if (last && fits([...last, partial])) {
+      last.push(partial);
+    } else {
+      groups.push([partial]);
+    }
+  }
+  return groups;
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Save a summary to history
+ * @param {Object} [details] - Extra fields stored on the entry (e.g. language)
+ * @returns {Promise<string|null>} The new history entry id, or null if saving failed
+ */
+async function saveSummary(text, title, url, type, details = {}) {
+  try {
+    const newSummary = {
+      // Unique even for summaries saved in the same millisecond (batch tabs and their digest)
+      id: crypto.randomUUID(),
+      text,
+      title: title || "Untitled Page",
+      url: url || "",
+      type,
+      date: new Date().toISOString(),
+      ...details,
+    };
+
+    await HistoryStore.add(newSummary);
+    return newSummary.id;
+  } catch (err) {
+    console.error("Failed to save summary:", err);
+    return null;
+  }
+}
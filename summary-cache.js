@@ -0,0 +1,125 @@
+/**
+ * Summary Cache - Reuses summaries of unchanged pages instead of calling the API again
+ * Entries are keyed by URL, content hash, summary type, provider, model and output language
+ */
+
+const SummaryCache = {
+  storageKey: "summary_cache",
+  defaults: {
+    ttlHours: 24,
+    maxEntries: 50,
+  },
+
+  // Serializes writes, so concurrent summaries (e.g. a batch of tabs) don't overwrite each other's entries
+  _queue: Promise.resolve(),
+
+  /**
+   * Load the cache limits (either set to 0 disables caching)
+   * @returns {Promise<{ttlHours: number, maxEntries: number}>}
+   */
+  async getSettings() {
+    const stored = await chrome.storage.local.get(["cache_ttl_hours", "cache_max_entries"]);
+    return {
+      ttlHours: stored.cache_ttl_hours ?? this.defaults.ttlHours,
+      maxEntries: stored.cache_max_entries ?? this.defaults.maxEntries,
+    };
+  },
+
+  /**
+   * SHA-256 of a string as lowercase hex
+   * @param {string} text - Text to hash
+   * @returns {Promise<string>}
+   */
+  async hash(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+  },
+
+  /**
+   * Build the cache key for a summary request
+   * @param {Object} request
+   * @param {string} request.url - Page URL
+   * @param {string} request.content - Content sent for summarization (hashed)
+   * @param {string} request.type - Summary type id
+   * @param {string} [request.template] - Template of the summary type (hashed), so edits to it aren't served stale
+   * @param {string} request.provider - Provider id
+   * @param {string} request.model - Model name
+   * @param {string} [request.language] - Output language code
+   * @param {string} [request.source] - "page" or "selection"
+   * @returns {Promise<string>}
+   */
+  async buildKey({ url, content, type, template = "", provider, model, language = "", source = "page" }) {
+    const [contentHash, templateHash] = await Promise.all([this.hash(content), this.hash(template)]);
+    return this.hash(JSON.stringify([url, contentHash, type, templateHash, provider, model, language, source]));
+  },
+
+  async _load() {
+    const stored = await chrome.storage.local.get([this.storageKey]);
+    return stored[this.storageKey] || {};
+  },
+
+  /**
+   * Drop expired entries, then the oldest ones beyond the size limit
+   * @param {Object<string, Object>} entries - Cache entries by key
+   * @param {{ttlHours: number, maxEntries: number}} settings - Cache limits
+   * @returns {Object<string, Object>} Remaining entries
+   */
+  _prune(entries, { ttlHours, maxEntries }) {
+    const oldest = Date.now() - ttlHours * 60 * 60 * 1000;
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => entry.cachedAt > oldest)
+      .sort(([, a], [, b]) => b.cachedAt - a.cachedAt)
+      .slice(0, Math.max(0, maxEntries));
+    return Object.fromEntries(kept);
+  },
+
+  /**
+   * Look up a cached summary
+   * @param {string} key - Key from buildKey()
+   * @returns {Promise<Object|null>} Cached entry ({ summary, cachedAt, historyId, ... }), or null on a miss
+   */
+  async get(key) {
+    const settings = await this.getSettings();
+    if (settings.ttlHours <= 0 || settings.maxEntries <= 0) return null;
+
+    const entries = this._prune(await this._load(), settings);
+    return entries[key] || null;
+  },
+
+  /**
+   * Store a summary, evicting expired and excess entries
+   * @param {string} key - Key from buildKey()
+   * @param {Object} entry - { summary, historyId, ... }; keeps an existing cachedAt if given
+   */
+  async set(key, entry) {
+    const write = this._queue.then(async () => {
+      const settings = await this.getSettings();
+      if (settings.ttlHours <= 0 || settings.maxEntries <= 0) return;
+
+      const entries = await this._load();
+      entries[key] = { cachedAt: Date.now(), ...entry };
+      await chrome.storage.local.set({ [this.storageKey]: this._prune(entries, settings) });
+    });
+    // A failed write is the caller's to report; later writes still run
+    this._queue = write.catch(() => {});
+    return write;
+  },
+
+  /**
+   * Number of live cache entries
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const entries = this._prune(await this._load(), await this.getSettings());
+    return Object.keys(entries).length;
+  },
+
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.SummaryCache = SummaryCache;
+}
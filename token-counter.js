@@ -0,0 +1,239 @@
+/**
+ * Token Counter - Provider-specific token counts for limits, trimming and stats
+ * OpenAI models are counted exactly with their tiktoken BPE ranks (bundled under tokenizers/).
+ * Gemini and Claude don't publish tokenizers, so their counts are script-aware estimates,
+ * calibrated against the input token counts the providers report for each summary.
+ */
+
+const TokenCounter = {
+  calibrationKey: "token_calibration",
+
+  /**
+   * tiktoken encodings: rank files and pre-tokenization patterns
+   * (the case-insensitive contractions are spelled out, as JS has no inline (?i:) groups)
+   */
+  encodings: {
+    o200k_base: {
+      file: "tokenizers/o200k_base.tiktoken",
+      pattern: new RegExp(
+        [
+          "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?",
+          "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?",
+          "\\p{N}{1,3}",
+          " ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*",
+          "\\s*[\\r\\n]+",
+          "\\s+(?!\\S)",
+          "\\s+",
+        ].join("|"),
+        "gu",
+      ),
+    },
+    cl100k_base: {
+      file: "tokenizers/cl100k_base.tiktoken",
+      pattern: new RegExp(
+        [
+          "'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD]",
+          "[^\\r\\n\\p{L}\\p{N}]?\\p{L}+",
+          "\\p{N}{1,3}",
+          " ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*",
+          "\\s*[\\r\\n]+",
+          "\\s+(?!\\S)",
+          "\\s+",
+        ].join("|"),
+        "gu",
+      ),
+    },
+  },
+
+  /**
+   * Starting tokens-per-character ratios by script, before calibration
+   * OpenAI's only apply when its rank file can't be loaded.
+   */
+  scriptRatios: {
+    openai: { latin: 0.3, cjk: 0.75, other: 0.35, symbol: 0.6, space: 0.05 },
+    gemini: { latin: 0.29, cjk: 0.7, other: 0.35, symbol: 0.6, space: 0.05 },
+    claude: { latin: 0.33, cjk: 1.2, other: 0.6, symbol: 0.7, space: 0.05 },
+  },
+
+  // Loaded rank tables by encoding (a promise while loading, null if unavailable)
+  _ranks: {},
+
+  // Calibration factors by provider: { factor, samples }
+  _calibration: {},
+
+  // Encoding of the OpenAI model being counted for, set by prepare()
+  _openaiEncoding: null,
+
+  /**
+   * tiktoken encoding of an OpenAI model
+   * @param {string} model - Model name
+   * @returns {string} "o200k_base" or "cl100k_base"
+   */
+  encodingFor(model) {
+    return /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d)/.test(model || "") ? "o200k_base" : "cl100k_base";
+  },
+
+  /**
+   * Load what count() needs for a provider: its BPE ranks (OpenAI) and calibration factor
+   * @param {string} provider - Provider id
+   * @param {string} [model] - Model the text is for (picks the OpenAI encoding)
+   */
+  async prepare(provider, model = null) {
+    const stored = await chrome.storage.local.get([this.calibrationKey]);
+    this._calibration = stored[this.calibrationKey] || {};
+
+    if (provider === "openai") {
+      const encoding = this.encodingFor(model || OpenAIProvider.defaultModel);
+      this._openaiEncoding = encoding;
+      this._ranks[encoding] ??= this._loadRanks(encoding);
+      this._ranks[encoding] = await this._ranks[encoding];
+    }
+  },
+
+  /**
+   * Parse a .tiktoken rank file ("<base64 token bytes> <rank>" per line)
+   * @param {string} encoding - Encoding name
+   * @returns {Promise<Map<string, number>|null>} Ranks keyed by byte string, or null if unavailable
+   */
+  async _loadRanks(encoding) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(this.encodings[encoding].file));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const ranks = new Map();
+      for (const line of (await response.text()).split("\n")) {
+        const [token, rank] = line.split(" ");
+        if (token) ranks.set(atob(token), Number(rank));
+      }
+      return ranks;
+    } catch (err) {
+      console.warn(`[Token Counter] ${encoding} ranks unavailable, estimating instead:`, err);
+      return null;
+    }
+  },
+
+  /**
+   * Count the tokens of a text for a provider
+   * Call prepare(provider, model) first; until then (or without a rank file) counts are estimates.
+   * @param {string} text - Text to count
+   * @param {string} provider - Provider id
+   * @returns {{tokens: number, source: string, label: string}} source is "tokenizer", "calibrated" or "estimate"
+   */
+  count(text, provider) {
+    if (provider === "openai") {
+      const encoding = this._openaiEncoding || this.encodingFor(OpenAIProvider.defaultModel);
+      const ranks = this._ranks[encoding];
+      if (ranks instanceof Map) {
+        return { tokens: this._countBpe(text, encoding, ranks), source: "tokenizer", label: `${encoding} tokenizer` };
+      }
+    }
+
+    const calibration = this._calibration[provider];
+    const tokens = Math.ceil(this._estimate(text, provider) * (calibration?.factor || 1));
+    return calibration?.samples
+      ? { tokens, source: "calibrated", label: "calibrated estimate" }
+      : { tokens, source: "estimate", label: "script-aware estimate" };
+  },
+
+  /**
+   * Exact token count with tiktoken's byte-pair encoding
+   * @param {string} text - Text to count
+   * @param {string} encoding - Encoding name
+   * @param {Map<string, number>} ranks - Rank table
+   * @returns {number}
+   */
+  _countBpe(text, encoding, ranks) {
+    const encoder = new TextEncoder();
+    const seen = new Map();
+    let tokens = 0;
+
+    for (const [piece] of text.matchAll(this.encodings[encoding].pattern)) {
+      if (!seen.has(piece)) {
+        const bytes = String.fromCharCode(...encoder.encode(piece));
+        seen.set(piece, ranks.has(bytes) ? 1 : this._mergeCount(bytes, ranks));
+      }
+      tokens += seen.get(piece);
+    }
+    return tokens;
+  },
+
+  /**
+   * Number of tokens a byte string merges into: repeatedly join the adjacent pair with the lowest rank
+   * @param {string} bytes - One character per byte
+   * @param {Map<string, number>} ranks - Rank table
+   * @returns {number}
+   */
+  _mergeCount(bytes, ranks) {
+    const parts = Array.from(bytes);
+
+    while (parts.length > 1) {
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = ranks.get(parts[i] + parts[i + 1]);
+        if (rank !== undefined && rank < bestRank) {
+          best = i;
+          bestRank = rank;
+        }
+      }
+      if (best === -1) break;
+      parts.splice(best, 2, parts[best] + parts[best + 1]);
+    }
+    return parts.length;
+  },
+
+  /**
+   * Uncalibrated estimate from the mix of scripts in a text
+   * @param {string} text - Text to count
+   * @param {string} provider - Provider id
+   * @returns {number}
+   */
+  _estimate(text, provider) {
+    const ratios = this.scriptRatios[provider] || this.scriptRatios.openai;
+    const count = (pattern) => text.match(pattern)?.length || 0;
+
+    const cjk = count(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu);
+    const latin = count(/[\p{Script=Latin}\p{N}]/gu);
+    const space = count(/\s/gu);
+    const other = count(/\p{L}/gu) - cjk - count(/\p{Script=Latin}/gu);
+    const symbol = text.length - cjk - latin - space - Math.max(0, other);
+
+    return (
+      latin * ratios.latin +
+      cjk * ratios.cjk +
+      Math.max(0, other) * ratios.other +
+      Math.max(0, symbol) * ratios.symbol +
+      space * ratios.space
+    );
+  },
+
+  /**
+   * Learn how far a provider's estimates are off from the input tokens it reported for a prompt
+   * @param {string} provider - Provider id
+   * @param {string} text - Text that was sent
+   * @param {number} actualTokens - Input tokens the provider reported
+   */
+  async calibrate(provider, text, actualTokens) {
+    if (provider === "openai" || !text || !actualTokens) return;
+
+    // Ignore outliers, e.g. prompts that were mostly images or system instructions
+    const ratio = actualTokens / this._estimate(text, provider);
+    if (!(ratio > 0.5 && ratio < 2)) return;
+
+    const stored = await chrome.storage.local.get([this.calibrationKey]);
+    const calibration = stored[this.calibrationKey] || {};
+    const { factor = 1, samples = 0 } = calibration[provider] || {};
+
+    // Running mean over the first samples, then a moving average that follows model updates
+    const weight = Math.max(1 / (samples + 1), 0.1);
+    calibration[provider] = { factor: factor + (ratio - factor) * weight, samples: samples + 1 };
+
+    this._calibration = calibration;
+    await chrome.storage.local.set({ [this.calibrationKey]: calibration });
+  },
+};
+
+// Export for use in popup.js
+if (typeof window !== "undefined") {
+  window.TokenCounter = TokenCounter;
+}
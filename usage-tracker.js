@@ -0,0 +1,173 @@
+/**
+ * Usage Tracker - Token counts and estimated cost of provider calls
+ * Usage records are stored on the history entry they belong to, so totals live with the history.
+ */
+
+const UsageTracker = {
+  /**
+   * List prices in USD per million tokens, keyed by model name prefix (the longest match wins)
+   * Models without a price are still counted in tokens, just not in cost.
+   */
+  prices: {
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-5-nano": { input: 0.05, output: 0.4 },
+    "gpt-5-mini": { input: 0.25, output: 2 },
+    "gpt-5": { input: 1.25, output: 10 },
+    "o4-mini": { input: 1.1, output: 4.4 },
+    "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+    "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+    "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+    "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+    "gemini-2.5-pro": { input: 1.25, output: 10 },
+    "claude-3-haiku": { input: 0.25, output: 1.25 },
+    "claude-3-5-haiku": { input: 0.8, output: 4 },
+    "claude-haiku-4": { input: 1, output: 5 },
+    "claude-3-5-sonnet": { input: 3, output: 15 },
+    "claude-3-7-sonnet": { input: 3, output: 15 },
+    "claude-sonnet-4": { input: 3, output: 15 },
+    "claude-opus-4": { input: 15, output: 75 },
+    "claude-opus-4-5": { input: 5, output: 25 },
+    "claude-opus-4-6": { input: 5, output: 25 },
+  },
+
+  /**
+   * Price of a model
+   * @param {string} model - Model name as sent to the provider
+   * @returns {{input: number, output: number}|null} USD per million tokens, or null if unknown
+   */
+  priceOf(model) {
+    const prefix = Object.keys(this.prices)
+      .filter((name) => model?.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  },
+
+  /**
+   * Cost of a number of tokens at a model's list price
+   * @param {string} model - Model name
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Generated tokens
+   * @returns {number|null} USD, or null if the model's price is unknown
+   */
+  estimateCost(model, inputTokens, outputTokens) {
+    const price = this.priceOf(model);
+    return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : null;
+  },
+
+  /**
+   * Turn the token counts reported by a provider into a usage record
+   * @param {string} provider - Provider id
+   * @param {{model: string, inputTokens: number, outputTokens: number}|null} usage - Counts from the provider
+   * @returns {Object|null} { provider, model, inputTokens, outputTokens, cost, date }, or null without counts
+   */
+  createRecord(provider, usage) {
+    if (!usage) return null;
+
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    return {
+      provider,
+      model: usage.model,
+      inputTokens,
+      outputTokens,
+      cost: this.estimateCost(usage.model, inputTokens, outputTokens),
+      date: new Date().toISOString(),
+    };
+  },
+
+  /**
+   * Merge the records of several calls made for one result (e.g. the passes of a chunked summary)
+   * @param {Array<Object|null>} records - Usage records
+   * @returns {Object|null} Combined record (provider and model of the last call), or null if none had counts
+   */
+  combine(records) {
+    const counted = records.filter(Boolean);
+    if (counted.length === 0) return null;
+
+    return { ...counted[counted.length - 1], ...this.total(counted) };
+  },
+
+  /**
+   * Token and cost totals of a list of records
+   * @param {Array<Object>} records - Usage records
+   * @returns {{calls: number, inputTokens: number, outputTokens: number, cost: number|null}}
+   *   cost is null when no record has a known price
+   */
+  total(records) {
+    const priced = records.filter((record) => record.cost != null);
+    return {
+      calls: records.length,
+      inputTokens: records.reduce((sum, record) => sum + record.inputTokens, 0),
+      outputTokens: records.reduce((sum, record) => sum + record.outputTokens, 0),
+      cost: priced.length > 0 ? priced.reduce((sum, record) => sum + record.cost, 0) : null,
+    };
+  },
+
+  /**
+   * Add a usage record to a history entry
+   * @param {string|null} historyId - History entry the call belongs to
+   * @param {Object|null} record - Usage record, with a kind ("summary", "chat" or "translation")
+   */
+  async record(historyId, record) {
+    if (!historyId || !record) return;
+
+    try {
+      await HistoryStore.update(historyId, (entry) => ({ usage: [...(entry.usage || []), record] }));
+    } catch (err) {
+      console.error("Failed to record usage:", err);
+    }
+  },
+
+  /**
+   * Every usage record in the history, with the domain of its entry
+   * @param {Array<Object>} entries - History entries
+   * @returns {Array<Object>} Records with an added domain field
+   */
+  recordsOf(entries) {
+    return entries.flatMap((entry) => (entry.usage || []).map((record) => ({ ...record, domain: entry.domain || "" })));
+  },
+
+  /**
+   * Group records and total each group, largest cost first
+   * @param {Array<Object>} records - Usage records
+   * @param {function(Object): string} keyOf - Group key of a record
+   * @returns {Array<{key: string, calls: number, inputTokens: number, outputTokens: number, cost: number|null}>}
+   */
+  groupBy(records, keyOf) {
+    const groups = new Map();
+    records.forEach((record) => {
+      const key = keyOf(record);
+      groups.set(key, [...(groups.get(key) || []), record]);
+    });
+    return [...groups].map(([key, group]) => ({ key, ...this.total(group) })).sort((a, b) => (b.cost || 0) - (a.cost || 0));
+  },
+
+  /**
+   * Format an estimated cost in USD
+   * @param {number|null} cost - Cost in USD
+   * @returns {string} e.g. "$0.0042", "<$0.0001", or "—" when the price is unknown
+   */
+  formatCost(cost) {
+    if (cost == null) return "—";
+    if (cost > 0 && cost < 0.0001) return "<$0.0001";
+    return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+  },
+
+  /**
+   * @param {number} count - Token count
+   * @returns {string} e.g. "12,345"
+   */
+  formatTokens(count) {
+    return count.toLocaleString();
+  },
+};
+
+// Export for use in popup.js, history.js and dashboard.js
+if (typeof window !== "undefined") {
+  window.UsageTracker = UsageTracker;
+}